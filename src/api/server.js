@@ -1,12 +1,25 @@
+const crypto = require('crypto');
 const express = require('express');
 const multer = require('multer');
 const HighPerformanceOAuthClient = require('../core/oauth-client');
 const HighPerformanceProcessor = require('../core/processor');
 const HighPerformanceIntegration = require('../core/integration');
+const JobQueue = require('../core/job-queue');
+const { formatRowErrorsCsv, parseRowErrorsCsv } = require('../core/row-errors');
 require('dotenv').config();
 
 const app = express();
 
+// Imports run in the background; the HTTP request only enqueues them
+const jobQueue = new JobQueue({
+  createIntegration: onProgress => new HighPerformanceIntegration(
+    new HighPerformanceOAuthClient(),
+    new HighPerformanceProcessor(),
+    { onProgress }
+  )
+});
+app.locals.jobQueue = jobQueue;
+
 // Middleware
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -34,21 +47,101 @@ app.get('/health', (req, res) => {
   });
 });
 
-// OAuth callback endpoint
-app.get('/oauth/callback', (req, res) => {
-  const { code, error } = req.query;
+// OAuth state values issued by /oauth/authorize, single-use and short-lived (CSRF protection)
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const OAUTH_STATE_COOKIE = 'hubspot_oauth_state';
+const oauthStates = new Map();
+
+function createOAuthState() {
+  const now = Date.now();
+  for (const [state, expiresAt] of oauthStates) {
+    if (expiresAt <= now) oauthStates.delete(state);
+  }
+  const state = crypto.randomBytes(24).toString('hex');
+  oauthStates.set(state, now + OAUTH_STATE_TTL_MS);
+  return state;
+}
+
+function consumeOAuthState(state, cookieState) {
+  if (!state || typeof state !== 'string' || state !== cookieState) return false;
+  const expiresAt = oauthStates.get(state);
+  oauthStates.delete(state);
+  return Boolean(expiresAt && expiresAt > Date.now());
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : undefined;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// dryRun may come from the query string, a JSON body or a multipart form field
+function isDryRunRequest(req) {
+  const value = req.query.dryRun !== undefined ? req.query.dryRun : (req.body || {}).dryRun;
+  return value === true || value === 'true' || value === '1';
+}
+
+// OAuth authorization endpoint - redirects to HubSpot's consent screen
+app.get('/oauth/authorize', (req, res) => {
+  try {
+    const hubspotClient = new HighPerformanceOAuthClient({ authMode: 'oauth' });
+    const state = createOAuthState();
+
+    res.cookie(OAUTH_STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: OAUTH_STATE_TTL_MS
+    });
+    res.redirect(hubspotClient.getAuthorizationUrl(state));
+  } catch (error) {
+    console.error('Error starting OAuth authorization:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// OAuth callback endpoint - validates state and exchanges the code for tokens
+app.get('/oauth/callback', async (req, res) => {
+  const { code, error, error_description: errorDescription, state } = req.query;
+  const cookieState = readCookie(req, OAUTH_STATE_COOKIE);
+  res.clearCookie(OAUTH_STATE_COOKIE);
   
   if (error) {
     return res.status(400).send(`
       <html>
         <body>
           <h2>❌ OAuth Authorization Failed</h2>
-          <p>Error: ${error}</p>
+          <p>Error: ${escapeHtml(error)}</p>
+          ${errorDescription ? `<p>${escapeHtml(errorDescription)}</p>` : ''}
           <p>Please try the authorization process again.</p>
         </body>
       </html>
     `);
   }
+
+  if (!consumeOAuthState(state, cookieState)) {
+    return res.status(400).send(`
+      <html>
+        <body>
+          <h2>❌ Invalid OAuth State</h2>
+          <p>The authorization request has expired or did not originate from this server.</p>
+          <p>Please start again from <a href="/oauth/authorize">/oauth/authorize</a>.</p>
+        </body>
+      </html>
+    `);
+  }
   
   if (!code) {
     return res.status(400).send(`
@@ -60,19 +153,33 @@ app.get('/oauth/callback', (req, res) => {
       </html>
     `);
   }
-  
-  res.send(`
-    <html>
-      <body>
-        <h2>✅ OAuth Authorization Successful!</h2>
-        <p><strong>Authorization Code:</strong></p>
-        <code style="background: #f5f5f5; padding: 10px; display: block; margin: 10px 0; word-break: break-all;">${code}</code>
-        <p><strong>Next step:</strong> Run this command in your terminal:</p>
-        <code style="background: #e8f4f8; padding: 10px; display: block; margin: 10px 0;">node oauth-process.js ${code}</code>
-        <p>This will exchange the authorization code for access tokens.</p>
-      </body>
-    </html>
-  `);
+
+  try {
+    const hubspotClient = new HighPerformanceOAuthClient({ authMode: 'oauth' });
+    const tokens = await hubspotClient.exchangeAuthorizationCode(code);
+    await hubspotClient.saveTokens(tokens);
+
+    res.send(`
+      <html>
+        <body>
+          <h2>✅ OAuth Authorization Successful!</h2>
+          <p>Access tokens have been saved. The integration is ready to process CSV files.</p>
+          <p>You can close this window.</p>
+        </body>
+      </html>
+    `);
+  } catch (exchangeError) {
+    console.error('Error exchanging OAuth authorization code:', exchangeError);
+    res.status(502).send(`
+      <html>
+        <body>
+          <h2>❌ Token Exchange Failed</h2>
+          <p>${escapeHtml(exchangeError.message)}</p>
+          <p>Please try the authorization process again.</p>
+        </body>
+      </html>
+    `);
+  }
 });
 
 // Process CSV data endpoint
@@ -87,22 +194,11 @@ app.post('/api/process-csv', async (req, res) => {
       });
     }
 
-    // Initialize the high-performance integration
-    const hubspotClient = new HighPerformanceOAuthClient();
-    const processor = new HighPerformanceProcessor();
-    const integration = new HighPerformanceIntegration(hubspotClient, processor);
-
-    // Process the CSV data
-    const stats = await integration.processCsv(csvData);
-
-    res.json({
-      success: true,
-      message: 'CSV processed successfully',
-      stats: stats
-    });
+    const job = await jobQueue.enqueue({ csvData, source: 'process-csv', dryRun: isDryRunRequest(req) });
+    res.status(202).json(jobAcceptedResponse(job));
 
   } catch (error) {
-    console.error('Error processing CSV:', error);
+    console.error('Error queueing CSV:', error);
     
     res.status(500).json({
       success: false,
@@ -122,24 +218,146 @@ app.post('/api/upload-csv', upload.single('csvFile'), async (req, res) => {
     }
 
     const csvData = req.file.buffer.toString('utf8');
+    const job = await jobQueue.enqueue({ csvData, source: `upload-csv:${req.file.originalname}`, dryRun: isDryRunRequest(req) });
+    res.status(202).json(jobAcceptedResponse(job));
+
+  } catch (error) {
+    console.error('Error queueing CSV file:', error);
     
-    // Initialize the high-performance integration
-    const hubspotClient = new HighPerformanceOAuthClient();
-    const processor = new HighPerformanceProcessor();
-    const integration = new HighPerformanceIntegration(hubspotClient, processor);
-
-    // Process the CSV data
-    const stats = await integration.processCsv(csvData);
-
-    res.json({
-      success: true,
-      message: 'File uploaded and processed successfully',
-      stats: stats
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
 
+function jobAcceptedResponse(job) {
+  return {
+    success: true,
+    message: job.dryRun ? 'Dry run queued - no changes will be written to HubSpot' : 'CSV accepted for processing',
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`
+  };
+}
+
+// Recent jobs, newest first
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const jobs = await jobQueue.listJobs({ limit });
+    res.json({ success: true, jobs });
   } catch (error) {
-    console.error('Error processing CSV file:', error);
-    
+    console.error('Error listing jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Phase, progress counters and (once finished) final stats for one job
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Error reading job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Rows the job rejected or failed to write, as a CSV download (or JSON with ?format=json).
+// ?severity=warning lists the rows imported with validation warnings instead.
+app.get('/api/jobs/:id/rejects', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    if (!job.stats) {
+      return res.status(409).json({
+        success: false,
+        error: `Rejects are available once the job has finished (job is ${job.status})`
+      });
+    }
+
+    const warnings = req.query.severity === 'warning';
+    const csv = (await jobQueue.readRejects(job.id, { warnings })) || formatRowErrorsCsv([]);
+    if (req.query.format === 'json') {
+      return res.json({ success: true, jobId: job.id, rowErrors: parseRowErrorsCsv(csv) });
+    }
+    res.attachment(`${warnings ? 'warnings' : 'rejects'}-${job.id}.csv`);
+    res.type('text/csv').send(csv);
+  } catch (error) {
+    console.error('Error reading job rejects:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Full plan of a finished dry run: every create, update, deactivation and association
+app.get('/api/jobs/:id/plan', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    const plan = job.dryRun ? await jobQueue.readPlan(job.id) : null;
+    if (!plan) {
+      return res.status(409).json({
+        success: false,
+        error: job.dryRun ? `The plan is available once the dry run has finished (job is ${job.status})` : 'Only dry runs have a plan'
+      });
+    }
+    res.json({ success: true, jobId: job.id, plan });
+  } catch (error) {
+    console.error('Error reading job plan:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Continue a failed job from its last checkpoint; completed batches are not re-sent
+app.post('/api/jobs/:id/resume', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    if (job.status !== 'failed' || job.dryRun) {
+      return res.status(409).json({
+        success: false,
+        error: job.dryRun ? 'Dry runs have no checkpoint - queue a new dry run instead' : `Only failed jobs can be resumed (job is ${job.status})`
+      });
+    }
+
+    const resumed = await jobQueue.resume(job.id);
+    res.status(202).json({ ...jobAcceptedResponse(resumed), message: 'Job queued to resume from its checkpoint' });
+  } catch (error) {
+    console.error('Error resuming job:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -154,18 +372,40 @@ app.get('/api/docs', (req, res) => {
     version: '1.0.0',
     endpoints: {
       'POST /api/process-csv': {
-        description: 'Process CSV data directly',
+        description: 'Queue CSV data for processing; responds 202 with a jobId',
         body: {
-          csvData: 'string - CSV data with headers and rows'
+          csvData: 'string - CSV data with headers and rows',
+          dryRun: 'boolean (optional) - plan the changes without writing to HubSpot; also ?dryRun=true'
         },
         example: {
           csvData: 'user_id,email,user_type,active_sub,weekly_sub_count,monthly_sub_count,daily_sub_count\\n12345,test@example.com,MP,true,5,2,1'
         }
       },
       'POST /api/upload-csv': {
-        description: 'Upload and process CSV file',
+        description: 'Upload a CSV file for processing; responds 202 with a jobId',
         contentType: 'multipart/form-data',
-        field: 'csvFile - CSV file upload'
+        field: 'csvFile - CSV file upload',
+        dryRun: 'form field or ?dryRun=true - plan the changes without writing to HubSpot'
+      },
+      'GET /api/jobs': {
+        description: 'List recent jobs (newest first)',
+        query: 'limit - number of jobs (default 20, max 100)'
+      },
+      'GET /api/jobs/:id': {
+        description: 'Job status: status (queued/running/completed/failed), phase, progress counters and final stats with row error, warning and conflict counts'
+      },
+      'GET /api/jobs/:id/rejects': {
+        description: 'Download the rows a finished job rejected or failed to write (row number, user_id, email, phase, reason)',
+        query: 'format - csv (default) or json; severity - error (default) or warning for rows imported with validation warnings'
+      },
+      'GET /api/jobs/:id/plan': {
+        description: 'The full plan of a finished dry run (creates, updates, deactivations, associations); the job stats hold its summary'
+      },
+      'POST /api/jobs/:id/resume': {
+        description: 'Resume a failed job from its checkpoint, skipping batches it already completed; responds 202'
+      },
+      'GET /oauth/authorize': {
+        description: 'Start the OAuth flow (redirects to HubSpot; tokens are saved by /oauth/callback)'
       },
       'GET /health': {
         description: 'Health check endpoint'
@@ -176,11 +416,13 @@ app.get('/api/docs', (req, res) => {
     },
     environment: {
       required: [
-        'HUBSPOT_CLIENT_ID',
-        'HUBSPOT_CLIENT_SECRET',
-        'HUBSPOT_REDIRECT_URI',
         'HUBSPOT_ACCOUNTS_OBJECT_TYPE_ID'
-      ]
+      ],
+      authentication: {
+        'private-app': ['HUBSPOT_ACCESS_TOKEN'],
+        oauth: ['HUBSPOT_CLIENT_ID', 'HUBSPOT_CLIENT_SECRET', 'HUBSPOT_REDIRECT_URI'],
+        selectMode: 'HUBSPOT_AUTH_MODE (optional: private-app | oauth)'
+      }
     }
   });
 });
@@ -211,9 +453,34 @@ app.use((req, res) => {
   });
 });
 
+// Checks HubSpot settings every import depends on, so a bad configuration stops the server
+// at startup instead of failing each job. Skipped until the app is authorized with HubSpot.
+// It runs before queued jobs are recovered or requests accepted, so exiting on failure never
+// interrupts a job.
+async function verifyHubSpotConfiguration() {
+  const client = new HighPerformanceOAuthClient();
+  if (!(await client.isAuthenticated())) {
+    console.log('ℹ️  Not authenticated with HubSpot yet - skipping the configuration check');
+    return;
+  }
+  await client.resolveAssociationTypes();
+  await client.verifySchema();
+}
+
 // Only start server when run directly (not when imported for tests)
-if (require.main === module) {
+async function start() {
   const port = process.env.PORT || 3000;
+  try {
+    await verifyHubSpotConfiguration();
+  } catch (error) {
+    console.error(`❌ HubSpot configuration check failed: ${error.message}`);
+    process.exit(1);
+  }
+
+  jobQueue.recover().catch(error => {
+    console.error('Failed to recover job queue:', error.message);
+  });
+
   const server = app.listen(port, '0.0.0.0', () => {
     console.log(`🚀 HubSpot CSV Integration API running on port ${port}`);
     console.log(`📚 API Documentation: http://localhost:${port}/api/docs`);
@@ -236,4 +503,8 @@ if (require.main === module) {
   });
 }
 
+if (require.main === module) {
+  start();
+}
+
 module.exports = app;
\ No newline at end of file
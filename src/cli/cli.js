@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 
+const fs = require('fs').promises;
 const path = require('path');
 
 // Load production environment configuration
@@ -8,6 +9,189 @@ require('dotenv').config({ path: path.join(__dirname, '../../.env') });
 const HighPerformanceOAuthClient = require('../core/oauth-client');
 const HighPerformanceProcessor = require('../core/processor');
 const HighPerformanceIntegration = require('../core/integration');
+const { resolveDataPath } = require('../core/data-dir');
+const { writeFileAtomic } = require('../core/atomic-file');
+const { parseRowErrorsCsv, warningsFilePath, writeRowErrors } = require('../core/row-errors');
+
+function parseArgs(argv) {
+  const args = { command: null, csvFile: null, dryRun: false, planFile: null, full: false, resume: null, rejectsFile: null, snapshot: false, delta: false, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--plan-file') {
+      args.planFile = argv[++i];
+    } else if (arg.startsWith('--plan-file=')) {
+      args.planFile = arg.slice('--plan-file='.length);
+    } else if (arg === '--rejects-file') {
+      args.rejectsFile = argv[++i];
+    } else if (arg.startsWith('--rejects-file=')) {
+      args.rejectsFile = arg.slice('--rejects-file='.length);
+    } else if (arg === '--full') {
+      args.full = true;
+    } else if (arg === '--snapshot') {
+      args.snapshot = true;
+    } else if (arg === '--delta') {
+      args.delta = true;
+    } else if (arg === '--force') {
+      args.force = true;
+    } else if (arg === '--resume') {
+      args.resume = argv[++i];
+      if (!args.resume) throw new Error('--resume requires a run ID');
+    } else if (arg.startsWith('--resume=')) {
+      args.resume = arg.slice('--resume='.length);
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (arg === 'validate' && i === 0) {
+      args.command = 'validate';
+    } else if (!args.csvFile) {
+      args.csvFile = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+function createHubSpotClient() {
+  return new HighPerformanceOAuthClient({
+    clientId: process.env.HUBSPOT_CLIENT_ID,
+    clientSecret: process.env.HUBSPOT_CLIENT_SECRET,
+    redirectUri: process.env.HUBSPOT_REDIRECT_URI,
+    accountsObjectTypeId: process.env.HUBSPOT_ACCOUNTS_OBJECT_TYPE_ID
+  });
+}
+
+function isJsonPath(filePath) {
+  return path.extname(filePath).toLowerCase() === '.json';
+}
+
+// Integration options naming the rejects file the run appends to. Runs write CSV, so a
+// .json --rejects-file is written as CSV next to it and converted by reportRejects.
+function getRejectsOptions(rejectsFile) {
+  if (!rejectsFile) return {};
+  return { rejectsFile: isJsonPath(rejectsFile) ? `${rejectsFile.slice(0, -'.json'.length)}.csv` : rejectsFile };
+}
+
+// Keeps the run's rejects and warnings files when they have entries (converted to JSON for
+// a .json --rejects-file) and removes empty ones
+async function reportRejects(stats, rejectsFile) {
+  const outputs = [
+    { file: stats.warningsFile, count: stats.rowWarningCount, target: rejectsFile && warningsFilePath(rejectsFile), label: 'row warning(s)' },
+    { file: stats.rejectsFile, count: stats.rowErrorCount, target: rejectsFile, label: 'row error(s)' }
+  ];
+
+  for (const { file, count, target, label } of outputs) {
+    if (!file) continue;
+    if (!count) {
+      await fs.unlink(file).catch(() => {});
+      continue;
+    }
+    let outputPath = file;
+    if (target && isJsonPath(target)) {
+      outputPath = await writeRowErrors(target, parseRowErrorsCsv(await fs.readFile(file, 'utf8')));
+      await fs.unlink(file);
+    }
+    console.log(`⚠️  ${count} ${label} written to ${outputPath}`);
+  }
+}
+
+// Runs every HubSpot read for the whole file and writes the resulting plan as JSON;
+// nothing is created or updated
+async function runDryRun(csvFile, planFile, rejectsFile = null, runOptions = {}) {
+  console.log('📝 DRY RUN - Planning changes without writing to HubSpot\n');
+
+  try {
+    const hubspotClient = createHubSpotClient();
+    const isAuthenticated = await hubspotClient.isAuthenticated();
+    if (!isAuthenticated) {
+      console.log('❌ Not authenticated. Please run: npm run oauth-auth');
+      return false;
+    }
+
+    const integration = new HighPerformanceIntegration(hubspotClient, new HighPerformanceProcessor());
+    const stats = await integration.processCSVHighPerformance(csvFile, { dryRun: true, ...getRejectsOptions(rejectsFile), ...runOptions });
+
+    const outputPath = planFile || resolveDataPath('plans', `plan-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+    await writeFileAtomic(outputPath, JSON.stringify(stats.plan, null, 2));
+    console.log(`💾 Plan written to ${outputPath}`);
+    await reportRejects(stats, rejectsFile);
+
+    return true;
+  } catch (error) {
+    console.error('❌ Dry run failed:', error.message);
+    return false;
+  }
+}
+
+// Preflight for a deployment: authentication, the configuration files, the association type
+// and the portal's properties against the field mapping. No CSV is read and nothing is written.
+async function runValidate() {
+  console.log('🔎 VALIDATE - Checking the HubSpot portal against this configuration\n');
+
+  try {
+    const hubspotClient = createHubSpotClient();
+    const isAuthenticated = await hubspotClient.isAuthenticated();
+    if (!isAuthenticated) {
+      console.log('❌ Not authenticated. Please run: npm run oauth-auth');
+      return false;
+    }
+
+    // Loads the field mapping, email policy and validation rules, throwing on invalid ones
+    const processor = new HighPerformanceProcessor();
+    const associationTypes = await hubspotClient.resolveAssociationTypes();
+    console.log(`✅ New associations use type ${associationTypes.default.typeId}${associationTypes.default.label ? ` ("${associationTypes.default.label}")` : ''}`);
+    await hubspotClient.verifySchema(processor.fieldMapping);
+
+    console.log('\n🎉 Configuration is valid - ready to import');
+    return true;
+  } catch (error) {
+    console.error('❌ Validation failed:', error.message);
+    return false;
+  }
+}
+
+// Integration options set by flags; settings a flag doesn't mention fall back to their env vars.
+// --snapshot: the file lists every user, so active accounts missing from it are deactivated.
+// --delta: only process rows changed since the last completed run; --force: process every row.
+function getRunOptions(args) {
+  const options = {};
+  if (args.snapshot) options.absentMeansInactive = true;
+  if (args.delta) options.deltaSync = true;
+  if (args.force) options.forceFullSync = true;
+  return options;
+}
+
+// Imports the whole file, checkpointing as it goes; with resumeRunId it continues a run
+// that stopped part-way (csvFile then defaults to the file that run was reading)
+async function runFullImport(csvFile, resumeRunId = null, rejectsFile = null, runOptions = {}) {
+  console.log(resumeRunId ? `♻️  RESUMING RUN ${resumeRunId}\n` : '🚀 FULL IMPORT\n');
+
+  try {
+    const hubspotClient = createHubSpotClient();
+    const isAuthenticated = await hubspotClient.isAuthenticated();
+    if (!isAuthenticated) {
+      console.log('❌ Not authenticated. Please run: npm run oauth-auth');
+      return false;
+    }
+
+    const integration = new HighPerformanceIntegration(hubspotClient, new HighPerformanceProcessor());
+    const stats = await integration.processCSVHighPerformance(csvFile, {
+      ...(resumeRunId ? { resume: resumeRunId } : {}),
+      ...getRejectsOptions(rejectsFile),
+      ...runOptions
+    });
+    console.log(`✅ Run ${stats.runId} completed`);
+    await reportRejects(stats, rejectsFile);
+
+    return stats.errors === 0;
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    return false;
+  }
+}
 
 async function runSimplePerformanceTest(csvFile) {
   console.log('🚀 SIMPLE PERFORMANCE TEST - Testing Core Functionality\n');
@@ -16,13 +200,7 @@ async function runSimplePerformanceTest(csvFile) {
   
   try {
     // Initialize components
-    const hubspotClient = new HighPerformanceOAuthClient({
-      clientId: process.env.HUBSPOT_CLIENT_ID,
-      clientSecret: process.env.HUBSPOT_CLIENT_SECRET,
-      redirectUri: process.env.HUBSPOT_REDIRECT_URI,
-      accountsObjectTypeId: process.env.HUBSPOT_ACCOUNTS_OBJECT_TYPE_ID,
-      tokenFile: path.join(__dirname, '.oauth-tokens.json')
-    });
+    const hubspotClient = createHubSpotClient();
     
     const processor = new HighPerformanceProcessor();
     
@@ -34,7 +212,7 @@ async function runSimplePerformanceTest(csvFile) {
     // Check authentication
     const isAuthenticated = await hubspotClient.isAuthenticated();
     if (!isAuthenticated) {
-      console.log('❌ Not authenticated. Please run: npm run sandbox-auth');
+      console.log('❌ Not authenticated. Please run: npm run oauth-auth');
       return false;
     }
     console.log('✅ OAuth authentication verified');
@@ -61,7 +239,8 @@ async function runSimplePerformanceTest(csvFile) {
     
     testRows.forEach(row => {
       if (row.user_id) accountIds.add(row.user_id);
-      if (row.email) contactEmails.add(row.email);
+      const contactData = processor.mapContactFields(row);
+      if (contactData.email) contactEmails.add(contactData.email);
     });
     
     console.log(`   Checking ${accountIds.size} account IDs...`);
@@ -121,41 +300,18 @@ async function runSimplePerformanceTest(csvFile) {
             console.log(`✅ Successfully created ${accountResults.length} accounts`);
           }
           
-          // Create contacts (they may already exist)
+          // Create contacts; ones that already exist are used as-is for the associations
           if (batch.contacts.length > 0) {
             console.log(`📦 Batch creating ${batch.contacts.length} contacts...`);
-            try {
-              contactResults = await hubspotClient.batchCreateContacts(batch.contacts);
-              console.log(`✅ Successfully created ${contactResults.length} new contacts`);
-            } catch (error) {
-              // Contacts might already exist, that's okay for testing
-              console.log(`ℹ️  Some contacts may already exist (${error.message.substring(0, 100)}...)`);
-              // For associations, we need to search for existing contacts by email
-              const emails = batch.contacts.map(c => c.email);
-              console.log(`🔍 Searching for existing contacts by email: ${emails.join(', ')}`);
-              
-              try {
-                contactResults = await hubspotClient.batchSearchContacts(emails);
-                console.log(`✅ Found ${contactResults.length} existing contacts for associations`);
-                
-                // If still no results, try individual searches
-                if (contactResults.length === 0) {
-                  console.log(`🔍 Trying individual contact searches...`);
-                  contactResults = [];
-                  for (const email of emails) {
-                    try {
-                      const individualResults = await hubspotClient.batchSearchContacts([email]);
-                      contactResults.push(...individualResults);
-                    } catch (searchError) {
-                      console.log(`⚠️  Could not find contact: ${email}`);
-                    }
-                  }
-                  console.log(`✅ Found ${contactResults.length} contacts via individual search`);
-                }
-              } catch (searchError) {
-                console.log(`⚠️  Contact search failed: ${searchError.message}`);
-                contactResults = [];
-              }
+            const existing = [];
+            contactResults = await hubspotClient.batchCreateContacts(batch.contacts, {
+              onConflict: (contact, existingId) => existing.push({ id: existingId, properties: { email: contact.email } }),
+              onFailure: (contact, message) => console.log(`⚠️  Could not create contact ${contact.email}: ${message}`)
+            });
+            console.log(`✅ Successfully created ${contactResults.length} new contacts`);
+            if (existing.length > 0) {
+              console.log(`ℹ️  ${existing.length} contact(s) already existed and will be associated as-is`);
+              contactResults = [...contactResults, ...existing];
             }
           }
           
@@ -168,7 +324,8 @@ async function runSimplePerformanceTest(csvFile) {
                 accountResults,
                 contactResults
               );
-              console.log(`✅ Successfully created ${associationResults.length} associations`);
+              const created = associationResults.filter(result => result.status === 'created').length;
+              console.log(`✅ Successfully created ${created} associations`);
             } catch (error) {
               console.log(`⚠️  Association creation encountered issues: ${error.message}`);
             }
@@ -190,7 +347,7 @@ async function runSimplePerformanceTest(csvFile) {
     console.log(`   Projected full dataset time: ${fullDatasetTime} minutes`);
     
     // Calculate performance improvement with smart filtering
-    const activeRecords = rawData.filter(row => processor.convertToBoolean(row.active_sub)).length;
+    const activeRecords = rawData.filter(row => processor.isActiveSubscription(row)).length;
     const smartFilterTime = (activeRecords / (testRows.length / totalTime) / 60).toFixed(1);
     console.log(`   With smart filtering (${activeRecords} active): ${smartFilterTime} minutes`);
     
@@ -211,13 +368,33 @@ async function runSimplePerformanceTest(csvFile) {
 
 // Run the test
 if (require.main === module) {
-  const csvFile = process.argv[2];
-  if (!csvFile) {
-    console.log('Usage: node simple-performance-test.js <csv-file>');
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    args = {};
+  }
+  if (!args.command && !args.csvFile && !args.resume) {
+    console.log('Usage: node src/cli/cli.js <csv-file> [--dry-run] [--plan-file <path>] [--full] [--snapshot] [--delta [--force]] [--rejects-file <path>]');
+    console.log('       node src/cli/cli.js [csv-file] --resume <runId> [--snapshot] [--delta] [--rejects-file <path>]');
+    console.log('       node src/cli/cli.js validate');
     process.exit(1);
   }
   
-  runSimplePerformanceTest(csvFile).then(success => {
+  let run;
+  if (args.command === 'validate') {
+    run = runValidate();
+  } else if (args.resume) {
+    run = runFullImport(args.csvFile, args.resume, args.rejectsFile, getRunOptions(args));
+  } else if (args.dryRun) {
+    run = runDryRun(args.csvFile, args.planFile, args.rejectsFile, getRunOptions(args));
+  } else if (args.full) {
+    run = runFullImport(args.csvFile, null, args.rejectsFile, getRunOptions(args));
+  } else {
+    run = runSimplePerformanceTest(args.csvFile);
+  }
+  run.then(success => {
     process.exit(success ? 0 : 1);
   }).catch(error => {
     console.error('Error:', error.message);
@@ -225,4 +402,8 @@ if (require.main === module) {
   });
 }
 
-module.exports = runSimplePerformanceTest;
\ No newline at end of file
+module.exports = runSimplePerformanceTest;
+module.exports.runDryRun = runDryRun;
+module.exports.runFullImport = runFullImport;
+module.exports.runValidate = runValidate;
+module.exports.parseArgs = parseArgs;
\ No newline at end of file
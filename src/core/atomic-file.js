@@ -0,0 +1,52 @@
+/**
+ * Crash-safe file writes
+ *
+ * Data is written to a temporary file in the same directory, flushed to disk and then
+ * renamed over the target. rename() is atomic on POSIX filesystems, so readers see
+ * either the old or the new content - never a truncated file. Without the flush a
+ * crash right after the rename can leave the target empty, since the rename may reach
+ * the disk before the data does.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+async function writeFileAtomic(filePath, data, options = {}) {
+  const directory = path.dirname(filePath);
+  const tempFile = path.join(directory, `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+  await fs.mkdir(directory, { recursive: true, mode: options.dirMode || 0o700 });
+
+  try {
+    const handle = await fs.open(tempFile, 'w', options.mode || 0o600);
+    try {
+      await handle.writeFile(data, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tempFile, filePath);
+  } catch (error) {
+    await fs.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+  await syncDirectory(directory);
+}
+
+// Persists the rename itself. Not every platform can fsync a directory (Windows can't
+// open one), and the file's contents are already safe, so failures are ignored.
+async function syncDirectory(directory) {
+  try {
+    const handle = await fs.open(directory, 'r');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  } catch (error) {
+    // Best effort
+  }
+}
+
+module.exports = { writeFileAtomic };
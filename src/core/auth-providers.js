@@ -0,0 +1,181 @@
+/**
+ * Authentication providers for HighPerformanceOAuthClient
+ *
+ * - PrivateAppTokenProvider: static private app access token (HUBSPOT_ACCESS_TOKEN)
+ * - OAuthTokenProvider: OAuth access/refresh tokens persisted through a token store
+ *
+ * Providers share one interface: loadTokens(), saveTokens(tokens), getAccessToken(),
+ * needsRefresh() and refresh(). The client never needs to know which one it is talking to.
+ */
+
+const logger = require('./logger');
+const { createTokenStore } = require('./token-store');
+
+const HUBSPOT_TOKEN_URL = 'https://api.hubapi.com/oauth/v1/token';
+const HUBSPOT_AUTHORIZE_URL = 'https://app.hubspot.com/oauth/authorize';
+
+class PrivateAppTokenProvider {
+  constructor(options = {}) {
+    this.type = 'private-app';
+    this.tokens = options.accessToken ? { access_token: options.accessToken } : null;
+  }
+
+  async loadTokens() {
+    return this.tokens;
+  }
+
+  async saveTokens() {
+    throw new Error('Private app tokens are configured through HUBSPOT_ACCESS_TOKEN and cannot be saved');
+  }
+
+  async getAccessToken() {
+    return this.tokens ? this.tokens.access_token : null;
+  }
+
+  // Private app tokens don't expire on a schedule
+  needsRefresh() {
+    return false;
+  }
+
+  async refresh() {
+    throw new Error('HubSpot rejected the private app access token. Private app tokens cannot be refreshed - check HUBSPOT_ACCESS_TOKEN and the app scopes');
+  }
+}
+
+class OAuthTokenProvider {
+  constructor(options = {}) {
+    this.type = 'oauth';
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.tokenStore = options.tokenStore;
+    this.refreshSkewMs = options.refreshSkewMs !== undefined ? options.refreshSkewMs : 5 * 60 * 1000;
+    this.tokens = null;
+    this.refreshPromise = null;
+  }
+
+  async loadTokens() {
+    this.tokens = await this.tokenStore.load();
+    return this.tokens;
+  }
+
+  async saveTokens(tokens) {
+    this.tokens = tokens;
+    await this.tokenStore.save(tokens);
+  }
+
+  async getAccessToken() {
+    if (!this.tokens) {
+      await this.loadTokens();
+    }
+    return this.tokens ? this.tokens.access_token || null : null;
+  }
+
+  // True once the access token is within refreshSkewMs of expiring. Token files written
+  // before expires_at was recorded fall back to refresh-on-401.
+  needsRefresh() {
+    if (!this.tokens || !this.tokens.expires_at) return false;
+    return Date.now() >= this.tokens.expires_at - this.refreshSkewMs;
+  }
+
+  // Record issue time and absolute expiry; HubSpot only returns a relative expires_in
+  withExpiry(tokens) {
+    const issuedAt = Date.now();
+    return {
+      ...tokens,
+      issued_at: issuedAt,
+      expires_at: tokens.expires_in ? issuedAt + tokens.expires_in * 1000 : undefined
+    };
+  }
+
+  // Exchange an authorization code from the OAuth callback for access/refresh tokens
+  async exchangeCode(code, redirectUri) {
+    const tokens = await this.requestTokens({
+      grant_type: 'authorization_code',
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      redirect_uri: redirectUri,
+      code
+    }, 'Authorization code exchange');
+    return this.withExpiry(tokens);
+  }
+
+  async requestTokens(form, operation) {
+    const response = await fetch(HUBSPOT_TOKEN_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams(form).toString()
+    });
+
+    if (!response.ok) {
+      throw new Error(`${operation} failed: ${response.status} ${response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  // Single-flight: concurrent callers (e.g. parallel batches hitting 401) share one refresh
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async performRefresh() {
+    if (!this.tokens || !this.tokens.refresh_token) {
+      throw new Error('No refresh token available');
+    }
+
+    const newTokens = await this.requestTokens({
+      grant_type: 'refresh_token',
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      refresh_token: this.tokens.refresh_token
+    }, 'Token refresh');
+
+    logger.debug('OAuth access token refreshed');
+    await this.saveTokens(this.withExpiry({
+      ...this.tokens,
+      access_token: newTokens.access_token,
+      // HubSpot may rotate the refresh token; the old one stops working once it does
+      refresh_token: newTokens.refresh_token || this.tokens.refresh_token,
+      expires_in: newTokens.expires_in
+    }));
+
+    return this.tokens.access_token;
+  }
+}
+
+// HUBSPOT_AUTH_MODE selects the provider explicitly; otherwise a configured private app
+// token wins and OAuth is the fallback
+function createAuthProvider(options = {}) {
+  const accessToken = options.accessToken || process.env.HUBSPOT_ACCESS_TOKEN;
+  const mode = options.authMode || process.env.HUBSPOT_AUTH_MODE || (accessToken ? 'private-app' : 'oauth');
+
+  switch (mode) {
+    case 'private-app':
+      if (!accessToken) {
+        throw new Error('HUBSPOT_AUTH_MODE is "private-app" but HUBSPOT_ACCESS_TOKEN is not set');
+      }
+      return new PrivateAppTokenProvider({ accessToken });
+    case 'oauth':
+      return new OAuthTokenProvider({
+        ...options,
+        tokenStore: options.tokenStore || createTokenStore({ filePath: options.tokenFile })
+      });
+    default:
+      throw new Error(`Unknown HUBSPOT_AUTH_MODE "${mode}" (expected "private-app" or "oauth")`);
+  }
+}
+
+module.exports = {
+  PrivateAppTokenProvider,
+  OAuthTokenProvider,
+  createAuthProvider,
+  HUBSPOT_TOKEN_URL,
+  HUBSPOT_AUTHORIZE_URL
+};
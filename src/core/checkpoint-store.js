@@ -0,0 +1,172 @@
+/**
+ * Run checkpoints for resumable imports
+ *
+ * A checkpoint records how far a run got: fully processed windows, plus the batches
+ * completed, HubSpot IDs of records created and associations made in the window in
+ * progress. Row errors are not kept here; the checkpoint stores how far the run's
+ * rejects logs had been written, so a resume can drop entries it will record again.
+ * Checkpoints live in <data dir>/checkpoints/<runId>.json and are rewritten atomically
+ * as the run advances, so they stay small.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic-file');
+const { resolveDataPath } = require('./data-dir');
+
+class Checkpoint {
+  constructor(store, data) {
+    this.store = store;
+    this.data = data;
+    // name → RowErrorLog, flushed and positioned on every save
+    this.logs = {};
+    this.pendingSave = Promise.resolve();
+  }
+
+  get runId() {
+    return this.data.runId;
+  }
+
+  // Starts (or, when resuming, re-enters) a window; `strategy` holds the row indices
+  // chosen for create/update so batch numbers stay stable across a resume
+  startWindow(index, strategy) {
+    this.data.window = {
+      index,
+      toCreate: strategy.toCreate,
+      toUpdate: strategy.toUpdate,
+      deactivationsDone: false,
+      completedBatches: []
+    };
+    return this.save();
+  }
+
+  // The stored window state when `index` is the window a previous attempt stopped in
+  getResumableWindow(index) {
+    return this.data.window && this.data.window.index === index ? this.data.window : null;
+  }
+
+  isBatchComplete(batchId) {
+    return Boolean(this.data.window && this.data.window.completedBatches.includes(batchId));
+  }
+
+  markDeactivationsDone() {
+    this.data.window.deactivationsDone = true;
+    return this.save();
+  }
+
+  markBatchComplete(batchId, stats) {
+    this.data.window.completedBatches.push(batchId);
+    this.data.stats = stats;
+    return this.save();
+  }
+
+  // Created IDs and associations only matter for resuming the window they belong to. A
+  // window with nothing to process (all duplicates or unchanged) never started one.
+  completeWindow(index, stats) {
+    this.data.completedWindows = index + 1;
+    this.data.window = null;
+    this.data.created = { accounts: {}, contacts: {} };
+    this.data.associations = {};
+    this.data.stats = stats;
+    return this.save();
+  }
+
+  attachLogs(logs) {
+    this.logs = logs;
+  }
+
+  // Where the run's log of `name` stood at the last save: { file, size, count }
+  getLogPosition(name) {
+    return (this.data.logs && this.data.logs[name]) || null;
+  }
+
+  recordCreated(objectType, key, hubspotId) {
+    this.data.created[objectType][key] = hubspotId;
+  }
+
+  getCreatedId(objectType, key) {
+    return this.data.created[objectType][key] || null;
+  }
+
+  recordAssociation(accountKey, contactEmail) {
+    this.data.associations[`${accountKey}|${contactEmail}`] = true;
+  }
+
+  hasAssociation(accountKey, contactEmail) {
+    return Boolean(this.data.associations[`${accountKey}|${contactEmail}`]);
+  }
+
+  finish(status, stats, error = null) {
+    this.data.status = status;
+    this.data.stats = stats;
+    this.data.error = error;
+    return this.save();
+  }
+
+  // Saves are chained so concurrent batches never write an older snapshot last
+  save() {
+    this.pendingSave = this.pendingSave.catch(() => {}).then(async () => {
+      for (const [name, log] of Object.entries(this.logs)) {
+        await log.flush();
+        this.data.logs = { ...this.data.logs, [name]: log.position() };
+      }
+      this.data.updatedAt = new Date().toISOString();
+      return this.store.write(this.data);
+    });
+    return this.pendingSave;
+  }
+}
+
+class CheckpointStore {
+  constructor(options = {}) {
+    this.directory = options.directory || resolveDataPath('checkpoints');
+  }
+
+  checkpointPath(runId) {
+    return path.join(this.directory, `${runId}.json`);
+  }
+
+  async create(fields = {}) {
+    const now = new Date().toISOString();
+    const checkpoint = new Checkpoint(this, {
+      runId: fields.runId || crypto.randomUUID(),
+      inputFile: fields.inputFile,
+      windowSize: fields.windowSize,
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      completedWindows: 0,
+      window: null,
+      created: { accounts: {}, contacts: {} },
+      associations: {},
+      logs: {},
+      stats: null,
+      error: null
+    });
+    await checkpoint.save();
+    return checkpoint;
+  }
+
+  async load(runId) {
+    if (!/^[\w-]+$/.test(runId)) {
+      throw new Error(`Invalid run ID "${runId}"`);
+    }
+    let contents;
+    try {
+      contents = await fs.readFile(this.checkpointPath(runId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No checkpoint found for run ${runId}`);
+      }
+      throw error;
+    }
+    return new Checkpoint(this, JSON.parse(contents));
+  }
+
+  async write(data) {
+    await writeFileAtomic(this.checkpointPath(data.runId), JSON.stringify(data));
+  }
+}
+
+module.exports = { CheckpointStore, Checkpoint };
@@ -0,0 +1,205 @@
+/**
+ * RFC 4180 CSV parsing shared by the file (CLI) and string (REST API) paths.
+ *
+ * Handles quoted fields containing delimiters, line breaks and escaped quotes (""),
+ * CRLF/LF/CR line endings, a leading UTF-8 BOM and alternate delimiters. Header
+ * names are normalised so both paths produce identical row keys. Each row carries the
+ * file line it started on as a non-enumerable `rowNumber` (the header is row 1).
+ */
+
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+const BOM = '\uFEFF';
+
+function normalizeHeader(header) {
+  return header.trim().toLowerCase().replace(/\s+/g, '_').replace(/"/g, '');
+}
+
+// Incremental tokenizer: accepts text in arbitrary chunks and emits complete records
+class CsvTokenizer {
+  constructor(delimiter = ',') {
+    if (typeof delimiter !== 'string' || delimiter.length !== 1 || delimiter === '"' || delimiter === '\n' || delimiter === '\r') {
+      throw new Error(`Invalid CSV delimiter: ${JSON.stringify(delimiter)}`);
+    }
+    this.delimiter = delimiter;
+    this.record = [];
+    this.field = '';
+    this.fieldQuoted = false;
+    this.inQuotes = false;
+    this.quotePending = false; // saw a quote inside a quoted field; next char decides
+    this.afterCR = false;
+    this.started = false;
+    this.line = 1;
+    this.recordLine = 1; // line the current record started on
+    this.lastWasCR = false;
+  }
+
+  write(text, onRecord) {
+    let start = 0;
+    if (!this.started && text.length > 0) {
+      this.started = true;
+      if (text[0] === BOM) start = 1;
+    }
+
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+
+      // CRLF counts as one line break, including inside quoted fields
+      if (ch === '\r' || (ch === '\n' && !this.lastWasCR)) {
+        this.line++;
+      }
+      this.lastWasCR = ch === '\r';
+
+      if (this.inQuotes) {
+        if (this.quotePending) {
+          this.quotePending = false;
+          if (ch === '"') {
+            this.field += '"';
+            continue;
+          }
+          // Closing quote - fall through and treat ch as unquoted input
+          this.inQuotes = false;
+        } else if (ch === '"') {
+          this.quotePending = true;
+          continue;
+        } else {
+          this.field += ch;
+          continue;
+        }
+      }
+
+      if (ch === '\n' && this.afterCR) {
+        this.afterCR = false;
+        continue;
+      }
+      this.afterCR = false;
+
+      if (ch === this.delimiter) {
+        this.endField();
+      } else if (ch === '\r' || ch === '\n') {
+        this.afterCR = ch === '\r';
+        this.endRecord(onRecord);
+      } else if (ch === '"' && !this.fieldQuoted && this.field.trim() === '') {
+        this.field = '';
+        this.fieldQuoted = true;
+        this.inQuotes = true;
+      } else {
+        this.field += ch;
+      }
+    }
+  }
+
+  end(onRecord) {
+    if (this.quotePending) {
+      this.quotePending = false;
+      this.inQuotes = false;
+    }
+    if (this.inQuotes) {
+      throw new Error('Unterminated quoted field at end of CSV input');
+    }
+    if (this.field !== '' || this.fieldQuoted || this.record.length > 0) {
+      this.endRecord(onRecord);
+    }
+  }
+
+  endField() {
+    this.record.push(this.field);
+    this.field = '';
+    this.fieldQuoted = false;
+  }
+
+  endRecord(onRecord) {
+    const blankLine = this.record.length === 0 && this.field === '' && !this.fieldQuoted;
+    this.endField();
+    const record = this.record;
+    const recordLine = this.recordLine;
+    this.record = [];
+    this.recordLine = this.line;
+    if (!blankLine) {
+      onRecord(record, recordLine);
+    }
+  }
+}
+
+// Turns tokenized records into row objects keyed by normalised header names
+class CsvParser {
+  constructor(options = {}) {
+    this.tokenizer = new CsvTokenizer(options.delimiter || ',');
+    this.headers = null;
+  }
+
+  write(text, onRow) {
+    this.tokenizer.write(text, (record, line) => this.handleRecord(record, line, onRow));
+  }
+
+  end(onRow) {
+    this.tokenizer.end((record, line) => this.handleRecord(record, line, onRow));
+  }
+
+  handleRecord(record, line, onRow) {
+    if (!this.headers) {
+      this.headers = record.map(normalizeHeader);
+      return;
+    }
+
+    const row = {};
+    this.headers.forEach((header, index) => {
+      row[header] = record[index] !== undefined ? record[index].trim() : '';
+    });
+    // Non-enumerable so it never reaches field mapping or HubSpot payloads
+    Object.defineProperty(row, 'rowNumber', { value: line, enumerable: false });
+    onRow(row);
+  }
+}
+
+// Object-mode transform: bytes in, normalised row objects out (backpressure via stream)
+class CsvRowStream extends Transform {
+  constructor(options = {}) {
+    super({ readableObjectMode: true });
+    this.parser = new CsvParser(options);
+    this.decoder = new StringDecoder('utf8');
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      const text = typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+      this.parser.write(text, row => this.push(row));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this.parser.write(this.decoder.end(), row => this.push(row));
+      this.parser.end(row => this.push(row));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+// Escaped newlines ("\\n") are accepted when the payload has no real line breaks,
+// e.g. CSV pasted into a JSON body by hand
+function unescapeNewlines(text) {
+  return /[\r\n]/.test(text) ? text : text.replace(/\\n/g, '\n');
+}
+
+function parseCSVText(text, options = {}) {
+  const rows = [];
+  const parser = new CsvParser(options);
+  parser.write(text, row => rows.push(row));
+  parser.end(row => rows.push(row));
+  return rows;
+}
+
+module.exports = {
+  CsvRowStream,
+  CsvParser,
+  parseCSVText,
+  unescapeNewlines,
+  normalizeHeader
+};
@@ -0,0 +1,15 @@
+/**
+ * Location of runtime data written by the integration (tokens, jobs, checkpoints)
+ *
+ * Defaults to ./data under the working directory; set HUBSPOT_DATA_DIR to keep it
+ * outside the application directory (e.g. a mounted volume in Docker).
+ */
+
+const path = require('path');
+
+function resolveDataPath(...segments) {
+  const dataDir = process.env.HUBSPOT_DATA_DIR || path.join(process.cwd(), 'data');
+  return path.join(dataDir, ...segments);
+}
+
+module.exports = { resolveDataPath };
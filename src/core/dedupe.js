@@ -0,0 +1,150 @@
+/**
+ * Duplicate resolution within one CSV
+ *
+ * A user_id listed on several rows, or one email shared by several user_ids, would put
+ * duplicate inputs into a HubSpot batch and fail the whole batch. Every row is add()ed
+ * first, resolve() then decides which row of each conflict survives:
+ *   last-wins       the row nearest the end of the file
+ *   highest-counts  the row with the largest subscription counts (the later row on a tie)
+ *   reject          none - every row in the conflict is dropped
+ * and filter() drops the losing rows. Rows repeating an identical record are dropped
+ * quietly; only rows whose values disagree are reported as conflicts. Per-row entries
+ * are only held until resolve(); afterwards just the dropped row numbers are kept.
+ */
+
+const DEDUPE_STRATEGIES = ['last-wins', 'highest-counts', 'reject'];
+
+const STRATEGY_LABELS = {
+  'last-wins': 'last row wins',
+  'highest-counts': 'highest subscription counts win',
+  reject: 'all rows rejected'
+};
+
+class Deduplicator {
+  // describeRow(row) → { userId, email, hash, count }: the row's account key, the match key
+  // of its contact email (see EmailPolicy.matchKey), a hash of its mapped values and its counts total
+  constructor({ strategy = 'last-wins', describeRow }) {
+    if (!DEDUPE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown dedupe strategy "${strategy}" (expected one of ${DEDUPE_STRATEGIES.join(', ')})`);
+    }
+    this.strategy = strategy;
+    this.describeRow = describeRow;
+    // user_id → surviving entry (null once a conflict rejected every row), until resolve()
+    this.byUser = new Map();
+    this.duplicateUsers = new Map();
+    // email → first user_id seen with it, plus every user_id sharing an email
+    this.emailOwners = new Map();
+    this.sharedEmails = new Map();
+    // Row number → reason it was dropped (null for an identical repeat)
+    this.dropped = new Map();
+    // user_ids none of whose rows survived
+    this.droppedUsers = new Set();
+    this.conflicts = [];
+  }
+
+  // Rows are told apart by their file row number, so add() and filter() may see different
+  // row objects for the same line (e.g. when a file is streamed twice)
+  add(row) {
+    const entry = { rowNumber: row.rowNumber, ...this.describeRow(row) };
+    if (!entry.userId) return;
+
+    const first = this.byUser.get(entry.userId);
+    if (first) {
+      const entries = this.duplicateUsers.get(entry.userId) || [first];
+      entries.push(entry);
+      this.duplicateUsers.set(entry.userId, entries);
+    } else {
+      this.byUser.set(entry.userId, entry);
+    }
+
+    if (!entry.email) return;
+    const owner = this.emailOwners.get(entry.email);
+    if (owner === undefined) {
+      this.emailOwners.set(entry.email, entry.userId);
+    } else if (owner !== entry.userId) {
+      const userIds = this.sharedEmails.get(entry.email) || new Set([owner]);
+      userIds.add(entry.userId);
+      this.sharedEmails.set(entry.email, userIds);
+    }
+  }
+
+  // Duplicate user_ids are settled first; an email is only in conflict when the rows that
+  // survived for two different user_ids still share it
+  resolve() {
+    this.duplicateUsers.forEach((entries, userId) => {
+      const distinct = new Set(entries.map(entry => entry.hash));
+      if (distinct.size === 1) {
+        entries.slice(0, -1).forEach(entry => this.dropped.set(entry.rowNumber, null));
+        this.byUser.set(userId, entries[entries.length - 1]);
+        return;
+      }
+      const kept = this.settle('user_id', userId, entries);
+      this.byUser.set(userId, kept);
+    });
+
+    this.sharedEmails.forEach((userIds, email) => {
+      const entries = [...userIds]
+        .map(userId => this.byUser.get(userId))
+        .filter(entry => entry && entry.email === email)
+        .sort((a, b) => a.rowNumber - b.rowNumber);
+      if (entries.length < 2) return;
+      const kept = this.settle('email', email, entries);
+      entries.forEach(entry => {
+        if (entry !== kept) this.byUser.set(entry.userId, null);
+      });
+    });
+
+    this.byUser.forEach((entry, userId) => {
+      if (entry === null) this.droppedUsers.add(userId);
+    });
+    this.byUser.clear();
+    this.duplicateUsers.clear();
+    this.emailOwners.clear();
+    this.sharedEmails.clear();
+    return this.conflicts;
+  }
+
+  // Picks the surviving entry (null when rejecting), drops the rest and records the conflict
+  settle(type, key, entries) {
+    const kept = this.pickWinner(entries);
+    const rows = entries.map(entry => entry.rowNumber);
+    const outcome = kept ? `row ${kept.rowNumber} kept` : 'no row kept';
+    const reason = `Duplicate ${type} ${key} (rows ${rows.join(', ')}): ${outcome} - ${STRATEGY_LABELS[this.strategy]}`;
+
+    entries.forEach(entry => {
+      if (entry !== kept) this.dropped.set(entry.rowNumber, reason);
+    });
+    this.conflicts.push({ type, key, rows, keptRow: kept ? kept.rowNumber : null, strategy: this.strategy, reason });
+    return kept;
+  }
+
+  // Entries are in file order
+  pickWinner(entries) {
+    if (this.strategy === 'reject') return null;
+    if (this.strategy === 'highest-counts') {
+      return entries.reduce((best, entry) => (entry.count >= best.count ? entry : best));
+    }
+    return entries[entries.length - 1];
+  }
+
+  // Whether this user_id was in the file but every one of its rows was dropped
+  hasDroppedUser(userId) {
+    return this.droppedUsers.has(userId);
+  }
+
+  // Splits rows into the ones to process and the dropped ones with their reasons
+  filter(rows) {
+    const records = [];
+    const dropped = [];
+    rows.forEach(row => {
+      if (this.dropped.has(row.rowNumber)) {
+        dropped.push({ row, reason: this.dropped.get(row.rowNumber) });
+      } else {
+        records.push(row);
+      }
+    });
+    return { records, dropped };
+  }
+}
+
+module.exports = { Deduplicator, DEDUPE_STRATEGIES };
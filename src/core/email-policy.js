@@ -0,0 +1,152 @@
+/**
+ * Email normalisation and validation policy
+ *
+ * normalizeEmail() gives the form contacts are written and searched with: trimmed, Unicode
+ * NFC, lowercased, with an internationalised domain in its ASCII (punycode) form. The policy
+ * file (JSON) adds the optional rules:
+ *   gmailCanonical     match Gmail addresses without dots and +tags (googlemail.com → gmail.com)
+ *   typoDomains        misspelt domain → intended domain, e.g. "gmial.com": "gmail.com"
+ *   onTypo             "reject" (default), "correct" (match as the intended domain) or "ignore"
+ *   disposableDomains  throwaway-mail domains; subdomains match too
+ *   onDisposable       "reject" (default) or "ignore"
+ *
+ * The Gmail and typo rules only change the match key (matchKey()), which CSV rows and
+ * HubSpot contacts are compared on; the address stored in HubSpot is never rewritten.
+ *
+ * HUBSPOT_EMAIL_POLICY_FILE points at a custom policy; src/config/email-policy.json is the default.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, '..', 'config', 'email-policy.json');
+const TYPO_ACTIONS = ['reject', 'correct', 'ignore'];
+const DISPOSABLE_ACTIONS = ['reject', 'ignore'];
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// RFC 5321 limits; the local part allows Unicode letters and digits (RFC 6531)
+const MAX_LENGTH = 254;
+const MAX_LOCAL_LENGTH = 64;
+const LOCAL_PART = /^[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+(?:\.[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+)*$/u;
+const DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+const TOP_LEVEL_DOMAIN = /^(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+function normalizeEmail(email, options = {}) {
+  if (email === undefined || email === null) return email;
+  const text = String(email).trim().normalize('NFC').toLowerCase();
+  const at = text.lastIndexOf('@');
+  if (at < 1 || at === text.length - 1) return text;
+
+  let local = text.slice(0, at);
+  // An invalid domain converts to '' - keep it as written so validation can report it
+  let domain = url.domainToASCII(text.slice(at + 1)) || text.slice(at + 1);
+  if (options.gmailCanonical && GMAIL_DOMAINS.includes(domain)) {
+    local = local.split('+')[0].replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+  return `${local}@${domain}`;
+}
+
+function getDomain(email) {
+  return String(email).slice(String(email).lastIndexOf('@') + 1);
+}
+
+// Whether a normalised address is well formed
+function isWellFormed(email) {
+  if (!email || email.length > MAX_LENGTH) return false;
+  const at = email.lastIndexOf('@');
+  const local = email.slice(0, at);
+  const labels = email.slice(at + 1).split('.');
+  return at > 0
+    && local.length <= MAX_LOCAL_LENGTH
+    && LOCAL_PART.test(local)
+    && labels.length >= 2
+    && labels.every(label => DOMAIN_LABEL.test(label))
+    && TOP_LEVEL_DOMAIN.test(labels[labels.length - 1]);
+}
+
+class EmailPolicy {
+  constructor(definition = {}, source = 'email policy') {
+    this.source = source;
+    this.gmailCanonical = Boolean(definition.gmailCanonical);
+    this.onTypo = definition.onTypo || 'reject';
+    this.typoDomains = new Map(Object.entries(definition.typoDomains || {})
+      .map(([typo, intended]) => [normalizeEmail(`x@${typo}`).slice(2), String(intended).toLowerCase()]));
+    this.onDisposable = definition.onDisposable || 'reject';
+    this.disposableDomains = new Set((definition.disposableDomains || []).map(domain => normalizeEmail(`x@${domain}`).slice(2)));
+    this.validate();
+  }
+
+  static load(filePath = process.env.HUBSPOT_EMAIL_POLICY_FILE || DEFAULT_POLICY_FILE) {
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to load email policy ${filePath}: ${error.message}`);
+    }
+    return new EmailPolicy(definition || {}, filePath);
+  }
+
+  validate() {
+    const problems = [];
+    if (!TYPO_ACTIONS.includes(this.onTypo)) {
+      problems.push(`"onTypo" must be one of ${TYPO_ACTIONS.join(', ')}`);
+    }
+    if (!DISPOSABLE_ACTIONS.includes(this.onDisposable)) {
+      problems.push(`"onDisposable" must be one of ${DISPOSABLE_ACTIONS.join(', ')}`);
+    }
+    if (problems.length > 0) {
+      throw new Error(`Invalid email policy ${this.source}:\n  - ${problems.join('\n  - ')}`);
+    }
+  }
+
+  // The address as written to and searched in HubSpot
+  normalize(email) {
+    return normalizeEmail(email);
+  }
+
+  // Key two addresses are the same contact on. With onTypo "correct" a known typo domain is
+  // replaced before the Gmail rule runs, so "j.doe@gmial.com" matches "jdoe@gmail.com".
+  matchKey(email) {
+    let normalized = normalizeEmail(email);
+    if (this.onTypo === 'correct') {
+      const intended = this.getTypoCorrection(normalized);
+      if (intended) {
+        normalized = `${normalized.slice(0, normalized.lastIndexOf('@'))}@${intended}`;
+      }
+    }
+    return this.gmailCanonical ? normalizeEmail(normalized, { gmailCanonical: true }) : normalized;
+  }
+
+  getTypoCorrection(email) {
+    return this.typoDomains.get(getDomain(email)) || null;
+  }
+
+  isDisposable(email) {
+    const labels = getDomain(email).split('.');
+    return labels.some((label, index) => this.disposableDomains.has(labels.slice(index).join('.')));
+  }
+
+  // Reasons an address cannot be imported; empty when it is acceptable
+  getErrors(email) {
+    const normalized = this.normalize(email);
+    if (!isWellFormed(normalized)) {
+      return [`Invalid email format: ${email}`];
+    }
+
+    const errors = [];
+    const intended = this.getTypoCorrection(normalized);
+    if (intended && this.onTypo === 'reject') {
+      errors.push(`Likely typo in email domain: ${email} (did you mean ${intended}?)`);
+    }
+    if (this.onDisposable === 'reject' && this.isDisposable(normalized)) {
+      errors.push(`Disposable email domain: ${getDomain(normalized)}`);
+    }
+    return errors;
+  }
+}
+
+EmailPolicy.DEFAULT_POLICY_FILE = DEFAULT_POLICY_FILE;
+
+module.exports = { EmailPolicy, normalizeEmail };
@@ -0,0 +1,230 @@
+/**
+ * Declarative CSV → HubSpot field mapping
+ *
+ * The mapping file (JSON or YAML) lists one entry per target property:
+ *   source    CSV column (normalised header name)
+ *   object    "accounts" or "contacts"
+ *   property  HubSpot property name
+ *   type      string | number | boolean | enum | date
+ *   format    boolean output: "string" ('true'/'false') or "boolean"; date output: "date" or "datetime"
+ *   lookup    name of a value table in `lookups` applied before coercion
+ *   options   allowed values for enum fields (after lookup)
+ *   default   value used when the column is empty or cannot be coerced
+ *   required  rows missing this column are rejected
+ *   key       property identifies the record (one per object)
+ *   onUpdate  "always" (default), "never" or "whenTrue" - when the value is sent to an existing record
+ *
+ * HUBSPOT_FIELD_MAPPING_FILE points at a custom mapping; src/config/field-mapping.json is the default.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAPPING_FILE = path.join(__dirname, '..', 'config', 'field-mapping.json');
+const OBJECT_TYPES = ['accounts', 'contacts'];
+const FIELD_TYPES = ['string', 'number', 'boolean', 'enum', 'date'];
+const UPDATE_MODES = ['always', 'never', 'whenTrue'];
+
+class FieldMapping {
+  constructor(definition, source = 'field mapping') {
+    this.source = source;
+    this.lookups = definition.lookups || {};
+    this.fields = (definition.fields || []).map(field => ({ onUpdate: 'always', ...field }));
+    this.validate();
+  }
+
+  static load(filePath = process.env.HUBSPOT_FIELD_MAPPING_FILE || DEFAULT_MAPPING_FILE) {
+    const contents = fs.readFileSync(filePath, 'utf8');
+    let definition;
+    try {
+      definition = /\.ya?ml$/i.test(filePath)
+        ? require('js-yaml').load(contents)
+        : JSON.parse(contents);
+    } catch (error) {
+      throw new Error(`Unable to parse field mapping ${filePath}: ${error.message}`);
+    }
+    return new FieldMapping(definition || {}, filePath);
+  }
+
+  // Shared instance for callers that only need the default lookups (e.g. the API client)
+  static getDefault() {
+    if (!FieldMapping.defaultMapping) {
+      FieldMapping.defaultMapping = FieldMapping.load();
+    }
+    return FieldMapping.defaultMapping;
+  }
+
+  validate() {
+    const problems = [];
+
+    this.fields.forEach((field, index) => {
+      const label = `fields[${index}]${field.property ? ` (${field.property})` : ''}`;
+      if (!field.source) problems.push(`${label}: "source" is required`);
+      if (!field.property) problems.push(`${label}: "property" is required`);
+      if (!OBJECT_TYPES.includes(field.object)) {
+        problems.push(`${label}: "object" must be one of ${OBJECT_TYPES.join(', ')}`);
+      }
+      if (!FIELD_TYPES.includes(field.type)) {
+        problems.push(`${label}: "type" must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+      if (!UPDATE_MODES.includes(field.onUpdate)) {
+        problems.push(`${label}: "onUpdate" must be one of ${UPDATE_MODES.join(', ')}`);
+      }
+      if (field.lookup && !this.lookups[field.lookup]) {
+        problems.push(`${label}: unknown lookup "${field.lookup}"`);
+      }
+    });
+
+    OBJECT_TYPES.forEach(objectType => {
+      const keys = this.fields.filter(field => field.object === objectType && field.key);
+      if (keys.length !== 1) {
+        problems.push(`exactly one key field is required for ${objectType} (found ${keys.length})`);
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid field mapping ${this.source}:\n  - ${problems.join('\n  - ')}`);
+    }
+  }
+
+  fieldsFor(objectType) {
+    return this.fields.filter(field => field.object === objectType);
+  }
+
+  getKeyField(objectType) {
+    return this.fieldsFor(objectType).find(field => field.key);
+  }
+
+  getProperties(objectType) {
+    return [...new Set(this.fieldsFor(objectType).map(field => field.property))];
+  }
+
+  getRequiredColumns() {
+    return [...new Set(this.fields.filter(field => field.required).map(field => field.source))];
+  }
+
+  lookup(tableName, value) {
+    const table = this.lookups[tableName] || {};
+    return Object.prototype.hasOwnProperty.call(table, value) ? table[value] : value;
+  }
+
+  // Map one CSV row to HubSpot properties for objectType. Empty values are omitted;
+  // returns null when the key property is missing.
+  mapRow(row, objectType) {
+    const properties = {};
+
+    this.fieldsFor(objectType).forEach(field => {
+      const value = this.coerce(field, row[field.source]);
+      if (value !== undefined && value !== null && value !== '') {
+        properties[field.property] = value;
+      }
+    });
+
+    const keyField = this.getKeyField(objectType);
+    return properties[keyField.property] ? properties : null;
+  }
+
+  coerce(field, rawValue) {
+    let value = typeof rawValue === 'string' ? rawValue.trim() : rawValue;
+    if (value === undefined || value === null || value === '') {
+      return this.formatDefault(field);
+    }
+    if (field.lookup) {
+      value = this.lookup(field.lookup, value);
+    }
+
+    switch (field.type) {
+      case 'number': {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : this.formatDefault(field);
+      }
+      case 'boolean':
+        return this.formatBoolean(field, FieldMapping.toBoolean(value));
+      case 'enum':
+        if (field.options && !field.options.includes(value)) {
+          return this.formatDefault(field);
+        }
+        return value;
+      case 'date': {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          return this.formatDefault(field);
+        }
+        return field.format === 'datetime' ? date.toISOString() : date.toISOString().slice(0, 10);
+      }
+      default:
+        return String(value);
+    }
+  }
+
+  formatDefault(field) {
+    if (field.default === undefined) return undefined;
+    return field.type === 'boolean' ? this.formatBoolean(field, field.default) : field.default;
+  }
+
+  formatBoolean(field, value) {
+    return field.format === 'string' ? String(Boolean(value)) : Boolean(value);
+  }
+
+  getField(objectType, property) {
+    return this.fieldsFor(objectType).find(field => field.property === property);
+  }
+
+  // Canonical form of a property value for comparison. HubSpot returns every value as a
+  // string, so '2' and 2, 'true' and true, '2024-01-05' and an epoch timestamp all match.
+  normalizeValue(objectType, property, value) {
+    if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+      return null;
+    }
+    const field = this.getField(objectType, property);
+    const type = field ? field.type : 'string';
+
+    switch (type) {
+      case 'number': {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : String(value).trim();
+      }
+      case 'boolean':
+        return FieldMapping.toBoolean(value);
+      case 'date': {
+        const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+        if (Number.isNaN(date.getTime())) return String(value).trim();
+        return field.format === 'datetime' ? date.getTime() : date.toISOString().slice(0, 10);
+      }
+      case 'enum':
+        // Multi-select values are ';'-separated and unordered
+        return String(value).split(';').map(option => option.trim()).filter(Boolean).sort().join(';');
+      default:
+        return String(value).trim();
+    }
+  }
+
+  isKeyProperty(objectType, property) {
+    return this.getKeyField(objectType).property === property;
+  }
+
+  // Drop properties that must not overwrite values on an existing record
+  filterForUpdate(objectType, properties) {
+    const filtered = { ...properties };
+    this.fieldsFor(objectType).forEach(field => {
+      if (!(field.property in filtered)) return;
+      const value = filtered[field.property];
+      if (field.onUpdate === 'never' || (field.onUpdate === 'whenTrue' && value !== true && value !== 'true')) {
+        delete filtered[field.property];
+      }
+    });
+    return filtered;
+  }
+
+  static toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'string') {
+      return value.toLowerCase() === 'true' || value === '1';
+    }
+    return Boolean(value);
+  }
+}
+
+FieldMapping.DEFAULT_MAPPING_FILE = DEFAULT_MAPPING_FILE;
+
+module.exports = FieldMapping;
@@ -0,0 +1,228 @@
+/**
+ * Background job queue for CSV imports
+ *
+ * enqueue() stores the CSV and returns the job immediately; a worker picks queued
+ * jobs up in order and runs them through HighPerformanceIntegration, recording
+ * phase, progress counters and final stats in the job store as it goes. A job's ID
+ * doubles as its run checkpoint ID, so a failed job can be resumed where it stopped.
+ *
+ * The job record keeps a summary of the final stats. Per-row results are saved as job
+ * artifacts: rejects.csv and warnings.csv, plus plan.json for dry runs.
+ */
+
+const logger = require('./logger');
+const { FileJobStore } = require('./job-store');
+const { unescapeNewlines } = require('./csv-stream');
+const { formatRowErrorsCsv } = require('./row-errors');
+
+// Job artifacts, see FileJobStore.artifactPath
+
+const REJECTS_ARTIFACT = 'rejects.csv';
+const WARNINGS_ARTIFACT = 'warnings.csv';
+const PLAN_ARTIFACT = 'plan.json';
+
+class JobQueue {
+  constructor(options = {}) {
+    this.store = options.store || new FileJobStore();
+    // Factory: (onProgress) => HighPerformanceIntegration
+    this.createIntegration = options.createIntegration;
+    // Each job gets its own client and rate limiter, so one job at a time keeps us inside
+    // HubSpot's quotas by default
+    this.concurrency = options.concurrency || parseInt(process.env.JOB_CONCURRENCY) || 1;
+    this.queue = [];
+    this.running = 0;
+    this.idleResolvers = [];
+  }
+
+  async enqueue({ csvData, source, dryRun = false }) {
+    const job = await this.store.create({ source, dryRun });
+    await this.store.saveInput(job.id, unescapeNewlines(csvData));
+    this.queue.push(job.id);
+    logger.info(`Job ${job.id} queued (${source}${dryRun ? ', dry run' : ''})`);
+    this.drain();
+    return job;
+  }
+
+  getJob(id) {
+    return this.store.get(id);
+  }
+
+  listJobs(options = {}) {
+    return this.store.list(options);
+  }
+
+  // Rejects (or with warnings: true, validation warnings) of a finished job as CSV text;
+  // null if the job saved none
+  readRejects(id, { warnings = false } = {}) {
+    return this.store.readArtifact(id, warnings ? WARNINGS_ARTIFACT : REJECTS_ARTIFACT);
+  }
+
+  // The full dry-run plan, or null if the job has none
+  async readPlan(id) {
+    const plan = await this.store.readArtifact(id, PLAN_ARTIFACT);
+    return plan === null ? null : JSON.parse(plan);
+  }
+
+  // Called once at startup: re-queue jobs that never started and fail jobs that were
+  // cut off mid-run by the restart
+  async recover() {
+    await this.prune();
+    const jobs = await this.store.list();
+    const interrupted = jobs.filter(job => job.status === 'running');
+    const queued = jobs.filter(job => job.status === 'queued').reverse();
+
+    for (const job of interrupted) {
+      await this.store.update(job.id, {
+        status: 'failed',
+        phase: 'interrupted',
+        finishedAt: new Date().toISOString(),
+        error: 'Interrupted by a server restart - resume it with POST /api/jobs/:id/resume'
+      });
+    }
+
+    queued.forEach(job => {
+      if (!this.queue.includes(job.id)) this.queue.push(job.id);
+    });
+    if (interrupted.length > 0 || queued.length > 0) {
+      logger.info(`Recovered job queue: ${queued.length} re-queued, ${interrupted.length} marked interrupted`);
+    }
+    this.drain();
+  }
+
+  // Retention is best effort; a failed prune must not take the queue down
+  async prune() {
+    try {
+      const removed = await this.store.prune();
+      if (removed.length > 0) {
+        logger.info(`Pruned ${removed.length} job(s) past retention`);
+      }
+    } catch (error) {
+      logger.warn(`Could not prune old jobs: ${error.message}`);
+    }
+  }
+
+  // Re-queues a failed job; its run continues from the last checkpoint
+  async resume(id) {
+    const previous = await this.store.get(id);
+    const job = await this.store.update(id, {
+      status: 'queued',
+      phase: 'queued',
+      finishedAt: null,
+      error: null,
+      resumeCount: (previous.resumeCount || 0) + 1
+    });
+    this.queue.push(id);
+    logger.info(`Job ${id} queued to resume (resume #${job.resumeCount})`);
+    this.drain();
+    return job;
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const id = this.queue.shift();
+      this.running++;
+      this.runJob(id).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+
+    if (this.running === 0 && this.queue.length === 0) {
+      this.idleResolvers.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  // Resolves once every queued and running job has finished
+  onIdle() {
+    if (this.running === 0 && this.queue.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleResolvers.push(resolve));
+  }
+
+  async runJob(id) {
+    let integration = null;
+    try {
+      const job = await this.store.update(id, {
+        status: 'running',
+        phase: 'starting',
+        startedAt: new Date().toISOString()
+      });
+
+      integration = this.createIntegration(progress => {
+        const { phase, ...counters } = progress;
+        this.store.update(id, { phase, progress: counters }).catch(error => {
+          logger.warn(`Could not record progress for job ${id}: ${error.message}`);
+        });
+      });
+
+      // Rejects and warnings are appended straight to the job's artifacts as the run goes
+      const options = {
+        dryRun: Boolean(job.dryRun),
+        rejectsFile: this.store.artifactPath(id, REJECTS_ARTIFACT),
+        warningsFile: this.store.artifactPath(id, WARNINGS_ARTIFACT)
+      };
+      if (job.resumeCount) {
+        options.resume = id;
+      } else if (!job.dryRun) {
+        options.runId = id;
+      }
+      const stats = await integration.processCSVHighPerformance(this.store.inputPath(id), options);
+
+      await this.store.update(id, {
+        status: 'completed',
+        phase: 'completed',
+        finishedAt: new Date().toISOString(),
+        stats: await this.saveResults(id, stats)
+      });
+      await this.store.removeInput(id);
+      logger.success(`Job ${id} completed`);
+    } catch (error) {
+      logger.error(`Job ${id} failed: ${error.message}`);
+      // Partial stats keep the row errors recorded before the failure
+      const stats = integration && integration.stats
+        ? await this.saveResults(id, integration.stats).catch(() => null)
+        : null;
+      await this.store.update(id, {
+        status: 'failed',
+        phase: 'failed',
+        finishedAt: new Date().toISOString(),
+        stats,
+        error: error.message
+      }).catch(() => {});
+    }
+    await this.prune();
+  }
+
+  // Saves the per-row results as artifacts and returns the stats summary for the job record.
+  // File runs have already written their rejects and warnings; lists returned in the stats
+  // are saved here.
+  async saveResults(id, stats) {
+    const { rowErrors, rowWarnings, failedRecords = [], conflicts = [], plan } = stats;
+    const summary = { ...stats };
+    ['rowErrors', 'rowWarnings', 'failedRecords', 'conflicts', 'plan', 'rejectsFile', 'warningsFile'].forEach(key => delete summary[key]);
+
+    if (rowErrors) {
+      await this.store.saveArtifact(id, REJECTS_ARTIFACT, formatRowErrorsCsv(rowErrors));
+      summary.rowErrorCount = rowErrors.length;
+    }
+    if (rowWarnings) {
+      await this.store.saveArtifact(id, WARNINGS_ARTIFACT, formatRowErrorsCsv(rowWarnings));
+      summary.rowWarningCount = rowWarnings.length;
+    }
+    if (plan) {
+      await this.store.saveArtifact(id, PLAN_ARTIFACT, JSON.stringify(plan));
+      summary.planSummary = plan.summary;
+    }
+
+    return {
+      ...summary,
+      rowErrorCount: summary.rowErrorCount || 0,
+      rowWarningCount: summary.rowWarningCount || 0,
+      failedRecordCount: failedRecords.length,
+      conflictCount: conflicts.length
+    };
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,208 @@
+/**
+ * File-backed job store
+ *
+ * Each job is one small JSON file under <data dir>/jobs, written atomically, so the job
+ * list survives a restart. The CSV a job processes is kept next to it as <id>.csv, and
+ * results that grow with the file (rejects, warnings, the dry-run plan) as artifacts
+ * named <id>-<name>, so reading or updating a job never touches them.
+ *
+ * Job IDs are time-ordered UUIDs (version 7), so the newest jobs are found from file
+ * names alone (jobs stored before IDs were time-ordered sort arbitrarily until pruned).
+ * Finished jobs older than JOB_RETENTION_DAYS (default 30) are pruned, artifacts included.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic-file');
+const { resolveDataPath } = require('./data-dir');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+let lastIdTime = 0;
+let idSequence = 0;
+
+// UUID v7: 48-bit millisecond timestamp, then a sequence so IDs created in the same
+// millisecond still sort in creation order, then random bits
+function createJobId() {
+  const now = Math.max(Date.now(), lastIdTime);
+  idSequence = now === lastIdTime ? idSequence + 1 : 0;
+  lastIdTime = now;
+
+  const bytes = crypto.randomBytes(16);
+  bytes.writeUIntBE(now, 0, 6);
+  bytes[6] = 0x70 | ((idSequence >> 8) & 0x0f);
+  bytes[7] = idSequence & 0xff;
+  bytes[8] = 0x80 | (bytes[8] & 0x3f);
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+class FileJobStore {
+  constructor(options = {}) {
+    this.directory = options.directory || resolveDataPath('jobs');
+    // 0 keeps every job
+    this.retentionDays = options.retentionDays !== undefined
+      ? options.retentionDays
+      : parseInt(process.env.JOB_RETENTION_DAYS || '30');
+    // Writes to the same job are chained so progress updates never overtake each other
+    this.pendingWrites = new Map();
+  }
+
+  jobPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  inputPath(id) {
+    return path.join(this.directory, `${id}.csv`);
+  }
+
+  // name: e.g. "rejects.csv", "warnings.csv", "plan.json"
+  artifactPath(id, name) {
+    return path.join(this.directory, `${id}-${name}`);
+  }
+
+  async create(fields = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: createJobId(),
+      status: 'queued',
+      phase: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      progress: {},
+      stats: null,
+      error: null,
+      ...fields
+    };
+    await this.write(job);
+    return job;
+  }
+
+  async saveInput(id, csvData) {
+    await writeFileAtomic(this.inputPath(id), csvData);
+    return this.inputPath(id);
+  }
+
+  async removeInput(id) {
+    await fs.unlink(this.inputPath(id)).catch(() => {});
+  }
+
+  async saveArtifact(id, name, contents) {
+    await writeFileAtomic(this.artifactPath(id, name), contents);
+    return this.artifactPath(id, name);
+  }
+
+  // Contents of an artifact, or null when the job never wrote it
+  async readArtifact(id, name) {
+    try {
+      return await fs.readFile(this.artifactPath(id, name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async get(id) {
+    // Job IDs are UUIDs; anything else can't be a job and must not reach the filesystem
+    if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.jobPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  update(id, changes) {
+    const previous = this.pendingWrites.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const job = await this.get(id);
+      if (!job) {
+        throw new Error(`Job ${id} not found`);
+      }
+      const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+      await this.write(updated);
+      return updated;
+    });
+
+    this.pendingWrites.set(id, next);
+    next.catch(() => {}).then(() => {
+      if (this.pendingWrites.get(id) === next) {
+        this.pendingWrites.delete(id);
+      }
+    });
+    return next;
+  }
+
+  // IDs of every stored job, newest first
+  async listIds() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return files
+      .filter(name => /^[0-9a-f-]{36}\.json$/i.test(name))
+      .map(name => name.slice(0, -'.json'.length))
+      .sort()
+      .reverse();
+  }
+
+  // Most recent first; only the jobs returned are read
+  async list(options = {}) {
+    const ids = await this.listIds();
+    const jobs = [];
+    for (const id of ids) {
+      if (options.limit && jobs.length >= options.limit) break;
+      try {
+        const job = await this.get(id);
+        if (job) jobs.push(job);
+      } catch (error) {
+        // Skip files replaced mid-write while listing
+      }
+    }
+    return jobs;
+  }
+
+  // Deletes finished jobs last written more than retentionDays ago, with their input and
+  // artifacts. Only old files are read, to check the job has finished. Returns the IDs removed.
+  async prune(now = Date.now()) {
+    if (!(this.retentionDays > 0)) return [];
+    const cutoff = now - this.retentionDays * DAY_MS;
+    const removed = [];
+
+    for (const id of await this.listIds()) {
+      try {
+        const { mtimeMs } = await fs.stat(this.jobPath(id));
+        if (mtimeMs >= cutoff) continue;
+        const job = await this.get(id);
+        if (!job || !FINISHED_STATUSES.includes(job.status)) continue;
+        await this.remove(id);
+        removed.push(id);
+      } catch (error) {
+        // Removed or rewritten by someone else meanwhile; try again next time
+      }
+    }
+    return removed;
+  }
+
+  async remove(id) {
+    const files = await fs.readdir(this.directory);
+    const owned = files.filter(name => name.startsWith(`${id}-`) || name === `${id}.csv`);
+    await Promise.all(owned.map(name => fs.unlink(path.join(this.directory, name)).catch(() => {})));
+    // The record goes last, so an interrupted removal is picked up by the next prune
+    await fs.unlink(this.jobPath(id)).catch(() => {});
+  }
+
+  async write(job) {
+    await writeFileAtomic(this.jobPath(job.id), JSON.stringify(job, null, 2));
+  }
+}
+
+module.exports = { FileJobStore, createJobId };
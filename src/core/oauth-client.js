@@ -1,7 +1,72 @@
 const { Client } = require('@hubspot/api-client');
-const fs = require('fs').promises;
-const path = require('path');
 const logger = require('./logger');
+const HubSpotRateLimiter = require('./rate-limiter');
+const { createAuthProvider, HUBSPOT_AUTHORIZE_URL } = require('./auth-providers');
+const { resolveDataPath } = require('./data-dir');
+const FieldMapping = require('./field-mapping');
+const { normalizeEmail } = require('./email-policy');
+
+const DEFAULT_OAUTH_SCOPES = [
+  'crm.objects.contacts.read',
+  'crm.objects.contacts.write',
+  'crm.objects.custom.read',
+  'crm.objects.custom.write',
+  'crm.schemas.contacts.read',
+  'crm.schemas.custom.read'
+];
+
+// Statuses that mean HubSpot rejected records in the request rather than the request itself
+const RECORD_ERROR_STATUSES = [400, 409, 422];
+
+// Pairs per v4 batch association request
+const ASSOCIATION_BATCH_SIZE = 100;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function describeAssociationType(definition) {
+  return `${definition.label ? `"${definition.label}" ` : ''}(${definition.category} ${definition.typeId})`;
+}
+
+// HubSpot property types that can hold each field mapping type
+const COMPATIBLE_PROPERTY_TYPES = {
+  string: ['string', 'phone_number'],
+  number: ['number'],
+  boolean: ['bool', 'enumeration'],
+  enum: ['enumeration'],
+  date: ['date', 'datetime']
+};
+
+// Values the mapping can send to an enumeration property: its options or lookup results,
+// plus the default. An enum with neither passes CSV values through and can't be checked.
+function getMappedOptions(field, fieldMapping) {
+  if (field.type === 'boolean') return ['true', 'false'];
+  const values = field.options || (field.lookup ? Object.values(fieldMapping.lookups[field.lookup]) : []);
+  return [...new Set([...values, ...(field.default !== undefined ? [field.default] : [])].map(String))];
+}
+
+// Problems with one mapped field against the portal's definition of its property
+function checkPropertyDefinition(objectType, field, definition, fieldMapping) {
+  const name = `${objectType}.${field.property}`;
+  if (!definition) {
+    return [`${name}: property does not exist in the portal`];
+  }
+
+  const problems = [];
+  const compatible = field.type === 'date' && field.format === 'datetime' ? ['datetime'] : COMPATIBLE_PROPERTY_TYPES[field.type];
+  if (!compatible.includes(definition.type)) {
+    problems.push(`${name}: mapped as ${field.type} but the portal property is ${definition.type}`);
+  } else if (definition.type === 'enumeration') {
+    const available = new Set((definition.options || []).filter(option => !option.hidden).map(option => String(option.value)));
+    const missing = getMappedOptions(field, fieldMapping).filter(value => !available.has(value));
+    if (missing.length > 0) {
+      problems.push(`${name}: enumeration is missing option${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`);
+    }
+  }
+  if (definition.modificationMetadata && definition.modificationMetadata.readOnlyValue) {
+    problems.push(`${name}: property is read-only in the portal`);
+  }
+  return problems;
+}
 
 class HighPerformanceOAuthClient {
   constructor(options = {}) {
@@ -9,7 +74,9 @@ class HighPerformanceOAuthClient {
     this.clientSecret = options.clientSecret || process.env.HUBSPOT_CLIENT_SECRET;
     this.redirectUri = options.redirectUri || process.env.HUBSPOT_REDIRECT_URI || 'http://localhost:3000/oauth/callback';
     this.accountsObjectTypeId = options.accountsObjectTypeId || process.env.HUBSPOT_ACCOUNTS_OBJECT_TYPE_ID || '2-123456';
-    this.tokenFile = options.tokenFile || path.join(__dirname, '.oauth-tokens.json');
+    // Kept outside the source tree; see data-dir.js
+    this.tokenFile = options.tokenFile || process.env.HUBSPOT_TOKEN_FILE || resolveDataPath('.oauth-tokens.json');
+    this.scopes = options.scopes || (process.env.HUBSPOT_OAUTH_SCOPES ? process.env.HUBSPOT_OAUTH_SCOPES.split(/[\s,]+/) : DEFAULT_OAUTH_SCOPES);
 
     // Normalized numeric/object id used when calling CRM objects APIs in unit tests
     // Many tests and SDK calls expect the numeric part (e.g., '123456') rather than the composite '2-123456'
@@ -18,147 +85,254 @@ class HighPerformanceOAuthClient {
       : String(this.accountsObjectTypeId);
     
     this.client = null;
-    this.tokens = null;
-    this.associationTypeId = null;
+    // Association type new links get: a label name or a numeric type ID. Checked against the
+    // portal's definitions by resolveAssociationTypes()
+    this.associationLabel = options.associationLabel || process.env.HUBSPOT_ASSOCIATION_LABEL || null;
+    this.associationTypeId = options.associationTypeId || parseInt(process.env.HUBSPOT_ASSOCIATION_TYPE_ID) || null;
+    this.associationTypes = null;
+    this.schemaCheck = null;
+
+    // Private app token or OAuth refresh-token flow, chosen by HUBSPOT_AUTH_MODE / HUBSPOT_ACCESS_TOKEN
+    this.authProvider = options.authProvider || createAuthProvider({
+      authMode: options.authMode,
+      accessToken: options.accessToken,
+      clientId: this.clientId,
+      clientSecret: this.clientSecret,
+      tokenFile: this.tokenFile,
+      tokenStore: options.tokenStore
+    });
+
+    // Shared by every API call this client makes; pass one limiter to several clients to pool quota
+    this.rateLimiter = options.rateLimiter || new HubSpotRateLimiter(options.rateLimits);
+
+    // Retry policy for rate limits (429) and transient gateway errors (502/503/504)
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : (parseInt(process.env.HUBSPOT_MAX_RETRIES) || 5);
+    this.retryBaseDelayMs = options.retryBaseDelayMs || 500;
+    this.retryMaxDelayMs = options.retryMaxDelayMs || 30000;
+    this.requestStats = {
+      retries: 0,
+      rateLimited: 0,
+      tokenRefreshes: 0,
+      failedAfterRetries: 0
+    };
   }
 
-  // Initialize with existing token methods from oauth-hubspot-client.js
-  async loadTokens() {
-    try {
-      const tokenData = await fs.readFile(this.tokenFile, 'utf8');
-      this.tokens = JSON.parse(tokenData);
-      return this.tokens;
-    } catch (error) {
-      logger.debug('No existing tokens found');
-      return null;
+  // Every HubSpot API call goes through here: it draws from the shared rate limit, refreshes
+  // the token once on 401 and retries 429/5xx/network errors with capped exponential backoff
+  async callApi(apiCall) {
+    let tokenRefreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.rateLimiter.acquire();
+      const tokenUsed = this.tokens && this.tokens.access_token;
+
+      try {
+        return await apiCall();
+      } catch (error) {
+        const status = this.getErrorStatus(error);
+
+        if (status === 401 && !tokenRefreshed) {
+          tokenRefreshed = true;
+          // Another caller may already have refreshed while this request was in flight
+          if (!this.tokens || this.tokens.access_token === tokenUsed) {
+            this.requestStats.tokenRefreshes++;
+            console.log('Unauthorized error, refreshing token and retrying...');
+            await this.refreshAccessToken();
+          }
+          continue;
+        }
+
+        if (!this.isRetryableError(error, status)) {
+          throw error;
+        }
+
+        if (attempt >= this.maxRetries) {
+          this.requestStats.failedAfterRetries++;
+          logger.error(`HubSpot request failed after ${this.maxRetries} retries (status ${status})`);
+          throw error;
+        }
+
+        const delayMs = this.getRetryDelay(error, attempt);
+        this.requestStats.retries++;
+        if (status === 429) {
+          this.requestStats.rateLimited++;
+          // Every caller sharing the limiter waits out the rate-limit window, not just this one
+          this.rateLimiter.pauseFor(delayMs);
+        }
+
+        logger.warn(`HubSpot returned ${status}; retrying in ${delayMs}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  getErrorStatus(error) {
+    if (typeof error.code === 'number') return error.code;
+    if (error.response && error.response.status) return error.response.status;
+    return error.code;
+  }
+
+  isRetryableError(error, status) {
+    if (status === 429) {
+      // Retrying within the day cannot succeed once the daily quota is gone
+      return !(error.body && error.body.policyName === 'DAILY');
+    }
+    return [502, 503, 504].includes(status) ||
+      ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'].includes(status);
+  }
+
+  // Retry-After wins, then HubSpot's rate-limit window headers, then exponential backoff with jitter
+  getRetryDelay(error, attempt) {
+    const retryAfter = this.getErrorHeader(error, 'retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delayMs = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (delayMs >= 0) return Math.min(delayMs, this.retryMaxDelayMs);
     }
+
+    const remaining = this.getErrorHeader(error, 'x-hubspot-ratelimit-remaining');
+    const intervalMs = Number(this.getErrorHeader(error, 'x-hubspot-ratelimit-interval-milliseconds'));
+    if (remaining === '0' && intervalMs > 0) {
+      return Math.min(intervalMs, this.retryMaxDelayMs);
+    }
+
+    const backoff = Math.min(this.retryBaseDelayMs * Math.pow(2, attempt), this.retryMaxDelayMs);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  getErrorHeader(error, name) {
+    const headers = error.headers || (error.response && error.response.headers);
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name) || undefined;
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+    return key ? String(headers[key]) : undefined;
+  }
+
+  // Retry counters plus rate-limiter usage, for run statistics
+  getRequestStats() {
+    return {
+      ...this.requestStats,
+      ...this.rateLimiter.getStats()
+    };
+  }
+
+  // Current tokens as held by the auth provider
+  get tokens() {
+    return this.authProvider.tokens || null;
+  }
+
+  async loadTokens() {
+    return this.authProvider.loadTokens();
   }
 
   async saveTokens(tokens) {
-    this.tokens = tokens;
-    await fs.writeFile(this.tokenFile, JSON.stringify(tokens, null, 2), 'utf8');
+    await this.authProvider.saveTokens(tokens);
   }
 
-  // Account type mapping for test compatibility
+  // OAuth authorization-code flow: URL the user is redirected to, carrying the CSRF state
+  getAuthorizationUrl(state) {
+    if (!this.clientId) {
+      throw new Error('HUBSPOT_CLIENT_ID is required for the OAuth authorization flow');
+    }
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes.join(' '),
+      state
+    });
+    return `${HUBSPOT_AUTHORIZE_URL}?${params.toString()}`;
+  }
+
+  async exchangeAuthorizationCode(code) {
+    if (typeof this.authProvider.exchangeCode !== 'function') {
+      throw new Error(`Authorization codes cannot be exchanged in ${this.authProvider.type} mode`);
+    }
+    return this.authProvider.exchangeCode(code, this.redirectUri);
+  }
+
+  // Account type mapping for test compatibility; uses the same lookup table as the processor
   mapAccountType(userType) {
-    const accountTypeMapping = { 'MP': 'MP', 'WIX': 'USAMPS' };
-    return accountTypeMapping[userType] || userType;
+    return FieldMapping.getDefault().lookup('userType', userType);
   }
 
   async isAuthenticated() {
-    await this.loadTokens();
-    if (!this.tokens || !this.tokens.access_token) {
+    const accessToken = await this.authProvider.getAccessToken();
+    if (!accessToken) {
       return false;
     }
     
     try {
       await this.initializeClient();
       // Test the token with a simple API call
-      await this.client.crm.contacts.basicApi.getPage(1);
+      await this.callApi(() => this.client.crm.contacts.basicApi.getPage(1));
       return true;
     } catch (error) {
-      if (error.code === 401) {
-        try {
-          await this.refreshAccessToken();
-          return true;
-        } catch (refreshError) {
-          return false;
-        }
-      }
+      // callApi already attempted a token refresh on 401
       return false;
     }
   }
 
   async initializeClient() {
-    if (!this.tokens || !this.tokens.access_token) {
+    const accessToken = await this.authProvider.getAccessToken();
+    if (!accessToken) {
       throw new Error('No access token available');
     }
     
-    this.client = new Client({
-      accessToken: this.tokens.access_token
-    });
+    this.client = new Client({ accessToken });
   }
 
   async refreshAccessToken() {
-    if (!this.tokens || !this.tokens.refresh_token) {
-      throw new Error('No refresh token available');
-    }
-
-    const tokenUrl = 'https://api.hubapi.com/oauth/v1/token';
-    const params = new URLSearchParams({
-      grant_type: 'refresh_token',
-      client_id: this.clientId,
-      client_secret: this.clientSecret,
-      refresh_token: this.tokens.refresh_token
-    });
-
-    const response = await fetch(tokenUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded'
-      },
-      body: params.toString()
-    });
-
-    if (!response.ok) {
-      throw new Error(`Token refresh failed: ${response.status} ${response.statusText}`);
-    }
-
-    const newTokens = await response.json();
-    await this.saveTokens({
-      ...this.tokens,
-      access_token: newTokens.access_token,
-      expires_in: newTokens.expires_in
-    });
-    
+    await this.authProvider.refresh();
     await this.initializeClient();
   }
 
+  // Refreshes ahead of expiry, so long runs don't rely on a 401 to notice a stale token
   async ensureValidToken() {
-    if (!this.client) {
+    await this.authProvider.getAccessToken();
+    if (this.authProvider.needsRefresh()) {
+      await this.refreshAccessToken();
+    } else if (!this.client) {
       await this.initializeClient();
     }
   }
 
-  // HIGH-PERFORMANCE: Search for active accounts in HubSpot
-  async searchActiveAccounts() {
+  // HIGH-PERFORMANCE: Search for every active account in HubSpot (snapshot deactivations).
+  // A search stops at 10,000 results, so pages are keyed on hs_object_id instead of the
+  // paging cursor. `properties` lists extra account properties to return.
+  async searchActiveAccounts(properties = []) {
     await this.ensureValidToken();
     
     try {
-      const searchRequest = {
-        filterGroups: [{
-          filters: [{
-            propertyName: 'active_subscription',
-            operator: 'EQ',
-            value: 'true'
-          }]
-        }],
-        properties: ['id', 'active_subscription', 'weekly_subscriptions', 'monthly_subscriptions', 'daily_subscriptions'],
-        limit: 100
-      };
-      
+      const pageSize = 100;
       let allActiveAccounts = [];
+      let lastObjectId = '0';
       let hasMore = true;
-      let after = undefined;
 
       logger.operation('Searching for active accounts in HubSpot');
       
       while (hasMore) {
-        if (after) {
-          searchRequest.after = after;
-        }
+        const searchRequest = {
+          filterGroups: [{
+            filters: [
+              { propertyName: 'active_subscription', operator: 'EQ', value: 'true' },
+              { propertyName: 'hs_object_id', operator: 'GT', value: lastObjectId }
+            ]
+          }],
+          sorts: ['hs_object_id'],
+          properties: [...new Set(['id', 'active_subscription', 'weekly_subscriptions', 'monthly_subscriptions', 'daily_subscriptions', ...properties])],
+          limit: pageSize
+        };
         
-        const response = await this.client.crm.objects.searchApi.doSearch(
+        const response = await this.callApi(() => this.client.crm.objects.searchApi.doSearch(
           this.accountsObjectTypeIdNormalized, 
           searchRequest
-        );
+        ));
         
         allActiveAccounts = allActiveAccounts.concat(response.results);
         
-        if (response.paging && response.paging.next) {
-          after = response.paging.next.after;
-        } else {
-          hasMore = false;
+        hasMore = response.results.length === pageSize;
+        if (hasMore) {
+          lastObjectId = String(response.results[response.results.length - 1].id);
         }
       }
 
@@ -166,104 +340,303 @@ class HighPerformanceOAuthClient {
       return allActiveAccounts;
       
     } catch (error) {
-      if (error.code === 401) {
-        console.log('Unauthorized error, refreshing token and retrying...');
-        await this.refreshAccessToken();
-        return await this.searchActiveAccounts();
-      }
       console.error('Error searching active accounts:', error);
       throw error;
     }
   }
 
-  // HIGH-PERFORMANCE: Identify accounts that need deactivation
-  async identifyDeactivations(deactivationMap) {
-    const activeAccounts = await this.searchActiveAccounts();
-    const accountsToDeactivate = [];
+  // HIGH-PERFORMANCE: Read accounts by their `id` property (the CSV user_id), 100 per batch
+  // request. IDs with no account in HubSpot are left out of the results.
+  async batchReadAccountsById(accountIds, properties = []) {
+    if (accountIds.length === 0) return [];
 
-    activeAccounts.forEach(account => {
-      const accountId = account.properties.id;
-      if (deactivationMap.has(accountId)) {
-        // Account is active in HubSpot but inactive in CSV
-        accountsToDeactivate.push({
-          hubspotId: account.id,
-          accountId: accountId,
-          updateData: deactivationMap.get(accountId)
-        });
+    await this.ensureValidToken();
+
+    try {
+      const ids = [...new Set(accountIds.map(String))];
+      const chunkSize = 100;
+      let allResults = [];
+
+      for (let i = 0; i < ids.length; i += chunkSize) {
+        const chunk = ids.slice(i, i + chunkSize);
+        const response = await this.callApi(() => this.client.crm.objects.batchApi.read(
+          this.accountsObjectTypeIdNormalized,
+          {
+            idProperty: 'id',
+            inputs: chunk.map(id => ({ id })),
+            properties: [...new Set(['id', 'active_subscription', ...properties])],
+            propertiesWithHistory: []
+          }
+        ));
+        allResults = allResults.concat(response.results || []);
       }
-    });
+
+      return allResults;
+
+    } catch (error) {
+      console.error('Error in batch read accounts:', error);
+      throw error;
+    }
+  }
+
+  // HIGH-PERFORMANCE: Identify accounts that need deactivation. Only the user_ids in
+  // `deactivationMap` (inactive in the CSV) are read; the ones still active in HubSpot are
+  // returned as { hubspotId, accountId, current, updateData }.
+  async identifyDeactivations(deactivationMap, properties = []) {
+    const accounts = await this.batchReadAccountsById([...deactivationMap.keys()], properties);
+    const accountsToDeactivate = accounts
+      .filter(account => account.properties && String(account.properties.active_subscription) === 'true' &&
+        deactivationMap.has(account.properties.id))
+      .map(account => ({
+        hubspotId: account.id,
+        accountId: account.properties.id,
+        current: account.properties,
+        updateData: deactivationMap.get(account.properties.id)
+      }));
 
     console.log(`🔄 Identified ${accountsToDeactivate.length} accounts for deactivation`);
     return accountsToDeactivate;
   }
 
-  // HIGH-PERFORMANCE: Batch create accounts
-  async batchCreateAccounts(accountsData) {
+  // HIGH-PERFORMANCE: Batch create accounts. See createWithRecovery for partial failures
+  // and options.onConflict / options.onFailure.
+  async batchCreateAccounts(accountsData, options = {}) {
     if (accountsData.length === 0) return [];
     
     await this.ensureValidToken();
 
     try {
-      const inputs = accountsData.map(account => ({
-        properties: account
-      }));
-
       console.log(`📦 Batch creating ${accountsData.length} accounts...`);
       
-      const response = await this.client.crm.objects.batchApi.create(
+      const results = await this.createWithRecovery('account', accountsData, 'id', inputs => this.client.crm.objects.batchApi.create(
         this.accountsObjectTypeIdNormalized,
         { inputs }
-      );
+      ), options);
       
-      console.log(`✅ Successfully created ${response.results.length} accounts`);
-      return response.results;
+      console.log(`✅ Successfully created ${results.length} accounts`);
+      return results;
       
     } catch (error) {
-      if (error.code === 401) {
-        console.log('Unauthorized error, refreshing token and retrying...');
-        await this.refreshAccessToken();
-        return await this.batchCreateAccounts(accountsData);
-      }
       console.error('Error in batch create accounts:', error);
       throw error;
     }
   }
 
-  // HIGH-PERFORMANCE: Batch update accounts
-  async batchUpdateAccounts(updateData) {
+  // Creates records through a batch create endpoint without losing the valid ones when
+  // HubSpot rejects part of a batch. A rejected batch is split in half and each half
+  // retried until the records at fault are isolated; records missing from a multi-status
+  // (207) response are retried the same way. A record that fails on its own is final:
+  // 409 conflicts go to options.onConflict(record, existingId, message) and other
+  // failures to options.onFailure(record, message, status). Without handlers, any such
+  // record makes the call throw, as a plain batch create would.
+  async createWithRecovery(objectLabel, records, keyProperty, createBatch, options = {}) {
+    const results = [];
+    const conflicts = [];
+    const failures = [];
+    const pending = [records];
+
+    while (pending.length > 0) {
+      const chunk = pending.shift();
+      let response;
+      try {
+        response = await this.callApi(() => createBatch(chunk.map(properties => ({ properties }))));
+      } catch (error) {
+        const status = this.getErrorStatus(error);
+        if (!RECORD_ERROR_STATUSES.includes(status)) {
+          throw error;
+        }
+        if (chunk.length === 1) {
+          this.classifyCreateFailure(chunk[0], status, this.getErrorMessage(error), conflicts, failures);
+        } else {
+          pending.unshift(...this.splitInHalf(chunk));
+        }
+        continue;
+      }
+
+      results.push(...response.results);
+      if (!Array.isArray(response.errors) || response.errors.length === 0) {
+        continue;
+      }
+
+      const created = new Set(response.results.map(result => result.properties && result.properties[keyProperty]));
+      const missing = chunk.filter(record => !created.has(record[keyProperty]));
+      const message = response.errors.map(error => error.message).join('; ');
+      if (chunk.length === 1 || missing.length !== chunk.length - response.results.length) {
+        // Single record, or results we cannot match to inputs: retrying could create duplicates
+        const status = response.errors.some(error => error.category === 'CONFLICT') ? 409 : 400;
+        missing.forEach(record => this.classifyCreateFailure(record, status, message, conflicts, failures));
+      } else if (missing.length === chunk.length) {
+        pending.unshift(...this.splitInHalf(chunk));
+      } else if (missing.length > 0) {
+        pending.unshift(missing);
+      }
+    }
+
+    if (conflicts.length > 0 || failures.length > 0) {
+      logger.warn(`Batch ${objectLabel} create: ${results.length} created, ${conflicts.length} already existed, ${failures.length} failed`);
+    }
+    this.reportCreateProblems(objectLabel, results, conflicts, failures, options);
+    return results;
+  }
+
+  splitInHalf(records) {
+    const middle = Math.ceil(records.length / 2);
+    return [records.slice(0, middle), records.slice(middle)];
+  }
+
+  classifyCreateFailure(record, status, message, conflicts, failures) {
+    const existingId = (String(message).match(/Existing ID: ?(\d+)/i) || [])[1];
+    if (existingId) {
+      conflicts.push({ record, existingId, message });
+    } else {
+      failures.push({ record, status, message });
+    }
+  }
+
+  reportCreateProblems(objectLabel, results, conflicts, failures, options) {
+    const unhandled = [
+      ...(options.onConflict ? [] : conflicts),
+      ...(options.onFailure ? [] : failures)
+    ];
+    if (unhandled.length > 0) {
+      const error = new Error(`Failed to create ${unhandled.length} ${objectLabel}(s): ${unhandled[0].message}`);
+      error.failures = unhandled;
+      // The rest of the batch was created; callers can still use these
+      error.results = results;
+      throw error;
+    }
+    conflicts.forEach(conflict => options.onConflict(conflict.record, conflict.existingId, conflict.message));
+    failures.forEach(failure => options.onFailure(failure.record, failure.message, failure.status));
+  }
+
+  // HubSpot error bodies carry the readable message; the SDK's own message wraps the whole response
+  getErrorMessage(error) {
+    if (error.body && typeof error.body === 'object' && error.body.message) {
+      return error.body.message;
+    }
+    return error.message;
+  }
+
+  // HIGH-PERFORMANCE: Batch update accounts, 100 per request (deactivations can cover more).
+  // See updateWithRecovery for partial failures and options.onFailure.
+  async batchUpdateAccounts(updateData, options = {}) {
     if (updateData.length === 0) return [];
     
     await this.ensureValidToken();
 
     try {
-      const inputs = updateData.map(update => ({
-        id: update.hubspotId,
-        properties: update.updateData
-      }));
-
       console.log(`📦 Batch updating ${updateData.length} accounts...`);
       
-      const response = await this.client.crm.objects.batchApi.update(
+      const results = await this.updateWithRecovery('account', updateData, inputs => this.client.crm.objects.batchApi.update(
         this.accountsObjectTypeIdNormalized,
         { inputs }
-      );
+      ), options);
       
-      console.log(`✅ Successfully updated ${response.results.length} accounts`);
-      return response.results;
+      console.log(`✅ Successfully updated ${results.length} accounts`);
+      return results;
       
     } catch (error) {
-      if (error.code === 401) {
-        console.log('Unauthorized error, refreshing token and retrying...');
-        await this.refreshAccessToken();
-        return await this.batchUpdateAccounts(updateData);
-      }
       console.error('Error in batch update accounts:', error);
       throw error;
     }
   }
 
+  // Update counterpart of createWithRecovery: updates ({ hubspotId, updateData }) are sent
+  // 100 per request, and a request HubSpot rejects (or a 207 response missing some records)
+  // is split until the records at fault are isolated, so one invalid value doesn't fail the
+  // rest. When both halves of a split fail with the error the whole chunk failed with, the
+  // error is batch-wide (e.g. an unknown property) and every record in it fails with it,
+  // instead of costing a request per record. A record that fails goes to
+  // options.onFailure(update, message, status) with HubSpot's message; without a handler
+  // the call throws.
+  async updateWithRecovery(objectLabel, updates, updateBatch, options = {}) {
+    const results = [];
+    const failures = [];
+    // { chunk, parent?, firstHalf? }; parent is the failed chunk's { status, message }
+    const pending = [];
+    for (let i = 0; i < updates.length; i += 100) {
+      pending.push({ chunk: updates.slice(i, i + 100) });
+    }
+
+    const failChunk = (chunk, status, message) => chunk.forEach(update => failures.push({ update, status, message }));
+    const splitChunk = (chunk, status, message) => {
+      const parent = { status, message, deferred: null };
+      const [first, second] = this.splitInHalf(chunk);
+      pending.unshift({ chunk: first, parent, firstHalf: true }, { chunk: second, parent });
+    };
+    const handleFailure = (item, status, message) => {
+      const sameError = item.parent && item.parent.message === message;
+      if (sameError && item.firstHalf && item.chunk.length > 1) {
+        // Decided once the other half has been sent
+        item.parent.deferred = item;
+      } else if (sameError && item.parent.deferred) {
+        failChunk(item.parent.deferred.chunk, status, message);
+        failChunk(item.chunk, status, message);
+        item.parent.deferred = null;
+      } else if (item.chunk.length === 1) {
+        failChunk(item.chunk, status, message);
+      } else {
+        splitChunk(item.chunk, status, message);
+      }
+    };
+    // The other half got through or failed differently: the deferred half is split after all
+    const releaseDeferred = item => {
+      const deferred = !item.firstHalf && item.parent && item.parent.deferred;
+      if (deferred) {
+        item.parent.deferred = null;
+        splitChunk(deferred.chunk, item.parent.status, item.parent.message);
+      }
+    };
+
+    while (pending.length > 0) {
+      const item = pending.shift();
+      const { chunk } = item;
+      let response;
+      try {
+        response = await this.callApi(() => updateBatch(chunk.map(update => ({ id: update.hubspotId, properties: update.updateData }))));
+      } catch (error) {
+        const status = this.getErrorStatus(error);
+        if (!RECORD_ERROR_STATUSES.includes(status)) {
+          throw error;
+        }
+        handleFailure(item, status, this.getErrorMessage(error));
+        releaseDeferred(item);
+        continue;
+      }
+
+      results.push(...response.results);
+      if (Array.isArray(response.errors) && response.errors.length > 0) {
+        // Updating a record twice is harmless, so unlike creates any missing record is retried
+        const updated = new Set(response.results.map(result => String(result.id)));
+        const missing = chunk.filter(update => !updated.has(String(update.hubspotId)));
+        const message = response.errors.map(error => error.message).join('; ');
+        if (missing.length === chunk.length) {
+          handleFailure(item, 400, message);
+        } else if (chunk.length === 1) {
+          failChunk(missing, 400, message);
+        } else if (missing.length > 0) {
+          pending.unshift({ chunk: missing });
+        }
+      }
+      releaseDeferred(item);
+    }
+
+    if (failures.length > 0) {
+      logger.warn(`Batch ${objectLabel} update: ${results.length} updated, ${failures.length} failed`);
+      if (!options.onFailure) {
+        const error = new Error(`Failed to update ${failures.length} ${objectLabel}(s): ${failures[0].message}`);
+        error.failures = failures;
+        error.results = results;
+        throw error;
+      }
+      failures.forEach(failure => options.onFailure(failure.update, failure.message, failure.status));
+    }
+    return results;
+  }
+
   // HIGH-PERFORMANCE: Batch search existing accounts (chunked for HubSpot 100-item limit)
-  async batchSearchAccounts(accountIds) {
+  // `properties` lists extra account properties to return alongside id (e.g. for dry-run diffs)
+  async batchSearchAccounts(accountIds, properties = []) {
     if (accountIds.length === 0) return [];
     
     await this.ensureValidToken();
@@ -285,68 +658,87 @@ class HighPerformanceOAuthClient {
               values: chunk
             }]
           }],
-          properties: ['id'],
+          properties: [...new Set(['id', ...properties])],
           limit: 100
         };
         
-        const response = await this.client.crm.objects.searchApi.doSearch(
+        const response = await this.callApi(() => this.client.crm.objects.searchApi.doSearch(
           this.accountsObjectTypeIdNormalized, 
           searchRequest
-        );
+        ));
         
         allResults = allResults.concat(response.results);
-        
-        // Small delay between chunks to respect rate limits
-        if (i + chunkSize < accountIds.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
       }
       
       console.log(`✅ Found ${allResults.length} existing accounts (searched ${Math.ceil(accountIds.length / chunkSize)} chunks)`);
       return allResults;
       
     } catch (error) {
-      if (error.code === 401) {
-        console.log('Unauthorized error, refreshing token and retrying...');
-        await this.refreshAccessToken();
-        return await this.batchSearchAccounts(accountIds);
-      }
       console.error('Error in batch search accounts:', error);
       throw error;
     }
   }
 
   // HIGH-PERFORMANCE: Batch create contacts
-  async batchCreateContacts(contactsData) {
+  async batchCreateContacts(contactsData, options = {}) {
     if (contactsData.length === 0) return [];
     
     await this.ensureValidToken();
 
     try {
-      const inputs = contactsData.map(contact => ({
-        properties: contact
-      }));
-
       console.log(`📦 Batch creating ${contactsData.length} contacts...`);
       
-      const response = await this.client.crm.contacts.batchApi.create({ inputs });
+      const results = await this.createWithRecovery('contact', contactsData, 'email',
+        async inputs => {
+          const response = await this.client.crm.contacts.batchApi.create({ inputs });
+          this.normalizeContactEmails(response.results || []);
+          return response;
+        }, options);
       
-      console.log(`✅ Successfully created ${response.results.length} contacts`);
-      return response.results;
+      console.log(`✅ Successfully created ${results.length} contacts`);
+      return results;
       
     } catch (error) {
-      if (error.code === 401) {
-        console.log('Unauthorized error, refreshing token and retrying...');
-        await this.refreshAccessToken();
-        return await this.batchCreateContacts(contactsData);
-      }
       console.error('Error in batch create contacts:', error);
       throw error;
     }
   }
 
+  // HIGH-PERFORMANCE: Batch update contacts, 100 per request. See updateWithRecovery.
+  async batchUpdateContacts(updateData, options = {}) {
+    if (updateData.length === 0) return [];
+    
+    await this.ensureValidToken();
+
+    try {
+      console.log(`📦 Batch updating ${updateData.length} contacts...`);
+      
+      const results = await this.updateWithRecovery('contact', updateData,
+        inputs => this.client.crm.contacts.batchApi.update({ inputs }), options);
+      
+      console.log(`✅ Successfully updated ${results.length} contacts`);
+      return results;
+      
+    } catch (error) {
+      console.error('Error in batch update contacts:', error);
+      throw error;
+    }
+  }
+
+  // HubSpot may return an address in the case it was first stored with, so results carry the
+  // normalised form CSV emails are searched with. The email policy's match key is applied to
+  // both when contacts are matched (see HighPerformanceIntegration.matchContacts).
+  normalizeContactEmails(contacts) {
+    contacts.forEach(contact => {
+      if (contact.properties && contact.properties.email) {
+        contact.properties.email = normalizeEmail(contact.properties.email);
+      }
+    });
+    return contacts;
+  }
+
   // HIGH-PERFORMANCE: Batch search existing contacts (chunked for HubSpot 100-item limit)
-  async batchSearchContacts(emails) {
+  async batchSearchContacts(emails, properties = []) {
     if (emails.length === 0) return [];
     
     await this.ensureValidToken();
@@ -368,170 +760,365 @@ class HighPerformanceOAuthClient {
               values: chunk
             }]
           }],
-          properties: ['email', 'user_type'],
+          properties: [...new Set(['email', 'user_type', ...properties])],
           limit: 100
         };
         
-        const response = await this.client.crm.contacts.searchApi.doSearch(searchRequest);
-        
-        allResults = allResults.concat(response.results);
+        const response = await this.callApi(() => this.client.crm.contacts.searchApi.doSearch(searchRequest));
         
-        // Small delay between chunks to respect rate limits
-        if (i + chunkSize < emails.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
+        allResults = allResults.concat(this.normalizeContactEmails(response.results));
       }
       
       console.log(`✅ Found ${allResults.length} existing contacts (searched ${Math.ceil(emails.length / chunkSize)} chunks)`);
       return allResults;
       
     } catch (error) {
-      if (error.code === 401) {
-        console.log('Unauthorized error, refreshing token and retrying...');
-        await this.refreshAccessToken();
-        return await this.batchSearchContacts(emails);
-      }
       console.error('Error in batch search contacts:', error);
       throw error;
     }
   }
 
-  // Get association type ID dynamically
-  async getAssociationTypeId() {
-    if (this.associationTypeId) {
-      return this.associationTypeId;
+  // Preflight: reads the portal's property definitions for contacts and the accounts object
+  // and checks every mapped property exists, can hold the mapped type, is writable and (for
+  // enumerations) offers every value the mapping can send. Throws listing every mismatch, so
+  // a misconfigured portal fails before any data is sent instead of batch by batch.
+  async verifySchema(fieldMapping = FieldMapping.getDefault()) {
+    if (this.schemaCheck) {
+      return this.schemaCheck;
     }
 
     await this.ensureValidToken();
-    
+
+    const problems = [];
+    let checked = 0;
+    for (const [objectType, hubspotType] of [['accounts', this.accountsObjectTypeId], ['contacts', 'contacts']]) {
+      const definitions = await this.readPropertyDefinitions(hubspotType);
+      fieldMapping.fieldsFor(objectType).forEach(field => {
+        checked++;
+        problems.push(...checkPropertyDefinition(objectType, field, definitions.get(field.property), fieldMapping));
+      });
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`HubSpot schema does not match the field mapping ${fieldMapping.source}:\n  - ${problems.join('\n  - ')}`);
+    }
+    console.log(`✅ HubSpot schema matches the field mapping (${checked} properties checked)`);
+    this.schemaCheck = { checked };
+    return this.schemaCheck;
+  }
+
+  // Map of property name → definition ({ name, type, options, modificationMetadata, ... })
+  async readPropertyDefinitions(objectType) {
+    let response;
     try {
-      console.log('🔗 Discovering association type ID...');
-      
-      // Try to discover the numeric association type ID for "User" label
-      console.log('ℹ️  Attempting to discover association type ID for custom labels...');
-      
-      try {
-        // Try to get association types for custom objects
-        const response = await this.client.crm.associations.v4.schema.definitionsApi.getAll('contacts', this.accountsObjectTypeId);
-        console.log('🔍 Found association definitions:', JSON.stringify(response, null, 2));
-        
-        // Look for any custom association type with a label
-        const customAssociation = response.results?.find(def => 
-          def.label && def.category === 'USER_DEFINED'
-        );
-        
-        if (customAssociation) {
-          console.log(`✅ Found custom association "${customAssociation.label}" with ID: ${customAssociation.typeId}`);
-          this.associationTypeId = customAssociation.typeId;
-          return this.associationTypeId;
-        }
-      } catch (error) {
-        console.log('⚠️  Could not fetch association definitions:', error.message);
-      }
-      
-      // Fallback to commonly used association type for custom objects
-      console.log('ℹ️  Using fallback association type ID for custom objects');
-      this.associationTypeId = 1;  // Standard "primary" association
-      return this.associationTypeId;
-      
+      response = await this.callApi(() => this.client.crm.properties.coreApi.getAll(objectType));
+    } catch (error) {
+      if (error.code === 'HUBSPOT_DAILY_QUOTA_EXHAUSTED') throw error;
+      throw new Error(`Could not read the ${objectType} properties: ${this.getErrorMessage(error)}`);
+    }
+    return new Map((response.results || []).map(property => [property.name, property]));
+  }
+
+  // Reads the contact → account association definitions and picks the type new links get:
+  // the configured type ID or label, otherwise the portal's only labelled type, or the
+  // unlabelled default when there are none. Throws when the configured type doesn't exist or
+  // the choice is ambiguous, so a run fails before writing anything rather than linking
+  // records with the wrong label.
+  async resolveAssociationTypes() {
+    if (this.associationTypes) {
+      return this.associationTypes;
+    }
+
+    await this.ensureValidToken();
+
+    let response;
+    try {
+      response = await this.callApi(() => this.client.crm.associations.v4.schema.definitionsApi.getAll('contacts', this.accountsObjectTypeId));
     } catch (error) {
-      console.error('Error getting association type ID:', error);
-      // Use fallback
-      this.associationTypeId = 1;
-      return this.associationTypeId;
+      if (error.code === 'HUBSPOT_DAILY_QUOTA_EXHAUSTED') throw error;
+      throw new Error(`Could not read association definitions between contacts and ${this.accountsObjectTypeId}: ${this.getErrorMessage(error)}`);
+    }
+
+    const definitions = (response.results || []).map(definition => ({
+      typeId: Number(definition.typeId),
+      category: definition.category,
+      label: definition.label || null
+    }));
+    const byId = new Map(definitions.map(definition => [definition.typeId, definition]));
+    const byLabel = new Map(definitions.filter(definition => definition.label).map(definition => [definition.label.toLowerCase(), definition]));
+    const available = definitions.map(describeAssociationType).join(', ') || 'none';
+    const between = `contacts and ${this.accountsObjectTypeId}`;
+
+    let defaultType;
+    if (this.associationTypeId) {
+      defaultType = byId.get(Number(this.associationTypeId));
+      if (!defaultType) {
+        throw new Error(`Association type ID ${this.associationTypeId} is not defined between ${between} (available: ${available})`);
+      }
+    } else if (this.associationLabel) {
+      defaultType = byLabel.get(this.associationLabel.toLowerCase());
+      if (!defaultType) {
+        throw new Error(`Association label "${this.associationLabel}" is not defined between ${between} (available: ${available})`);
+      }
+    } else {
+      const labelled = definitions.filter(definition => definition.category === 'USER_DEFINED' && definition.label);
+      if (labelled.length > 1) {
+        throw new Error(`Found ${labelled.length} association labels between ${between} - set HUBSPOT_ASSOCIATION_LABEL or HUBSPOT_ASSOCIATION_TYPE_ID to choose one (available: ${available})`);
+      }
+      defaultType = labelled[0] || definitions.find(definition => !definition.label);
+      if (!defaultType) {
+        throw new Error(`No association is defined between ${between} - create one in HubSpot or set HUBSPOT_ASSOCIATION_TYPE_ID`);
+      }
     }
+
+    // Links with these types are the integration's to create and remove; other HubSpot-defined
+    // links are left alone
+    const managedTypeIds = new Set([
+      defaultType.typeId,
+      ...definitions.filter(definition => definition.category === 'USER_DEFINED').map(definition => definition.typeId)
+    ]);
+
+    console.log(`🔗 Linking contacts to accounts with association type ${describeAssociationType(defaultType)}`);
+    this.associationTypes = { default: defaultType, byId, byLabel, managedTypeIds };
+    return this.associationTypes;
+  }
+
+  // Type IDs for a pair's labels (the default type when it has none); unknown labels are returned separately
+  resolveAssociationLabels(labels) {
+    const { default: defaultType, byLabel } = this.associationTypes;
+    if (!labels || labels.length === 0) {
+      return { typeIds: [defaultType.typeId], unknown: [] };
+    }
+    const typeIds = [];
+    const unknown = [];
+    labels.forEach(label => {
+      const definition = byLabel.get(label.toLowerCase());
+      if (definition) {
+        typeIds.push(definition.typeId);
+      } else {
+        unknown.push(label);
+      }
+    });
+    return { typeIds: [...new Set(typeIds)], unknown };
   }
 
-  // HIGH-PERFORMANCE: Batch create associations
+  associationTypeInputs(typeIds) {
+    return typeIds.map(typeId => ({
+      associationCategory: this.associationTypes.byId.get(typeId).category,
+      associationTypeId: typeId
+    }));
+  }
+
+  // HIGH-PERFORMANCE: Batch create associations through the v4 batch API, ASSOCIATION_BATCH_SIZE
+  // pairs per request. A pair with `labels` is linked with each of those labels, otherwise with
+  // the configured type. Pairs that are already associated are left alone, so reruns don't
+  // duplicate links. Returns one result per pair:
+  //   { accountId, contactEmail, accountHubSpotId, contactHubSpotId, associationTypeIds, status, error }
+  // where status is created, existing, skipped (an ID is missing) or failed.
   async batchCreateAssociations(associationPairs, accountResults, contactResults) {
     await this.ensureValidToken();
     
     if (associationPairs.length === 0) return [];
 
+    await this.resolveAssociationTypes();
+    
+    // Create lookup maps
+    const accountMap = new Map();
+    accountResults.forEach(account => {
+      if (account.properties && account.properties.id) {
+        accountMap.set(account.properties.id, account.id);
+      }
+    });
+    
+    const contactMap = new Map();
+    contactResults.forEach(contact => {
+      if (contact.properties && contact.properties.email) {
+        contactMap.set(contact.properties.email, contact.id);
+      }
+    });
+
+    const seen = new Set();
+    const outcomes = [];
+    associationPairs.forEach(pair => {
+      const pairKey = `${pair.accountId}|${pair.contactEmail}`;
+      if (seen.has(pairKey)) return;
+      seen.add(pairKey);
+
+      const { typeIds, unknown } = this.resolveAssociationLabels(pair.labels);
+      const outcome = {
+        accountId: pair.accountId,
+        contactEmail: pair.contactEmail,
+        accountHubSpotId: accountMap.get(pair.accountId) || null,
+        contactHubSpotId: contactMap.get(pair.contactEmail) || null,
+        associationTypeIds: typeIds,
+        status: 'pending',
+        error: null
+      };
+      if (unknown.length > 0) {
+        outcome.status = 'failed';
+        outcome.error = `Unknown association label${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`;
+      } else if (!outcome.accountHubSpotId || !outcome.contactHubSpotId) {
+        outcome.status = 'skipped';
+        outcome.error = `Missing HubSpot ID for ${outcome.accountHubSpotId ? 'contact' : 'account'}`;
+        logger.debug(`Skipping association ${pairKey}: ${outcome.error}`);
+      }
+      outcomes.push(outcome);
+    });
+
+    const pending = outcomes.filter(outcome => outcome.status === 'pending');
+    for (let i = 0; i < pending.length; i += ASSOCIATION_BATCH_SIZE) {
+      const chunk = pending.slice(i, i + ASSOCIATION_BATCH_SIZE);
+      await this.markExistingAssociations(chunk);
+      await this.createAssociationChunk(chunk.filter(outcome => outcome.status === 'pending'));
+    }
+
+    const counts = outcomes.reduce((totals, outcome) => ({ ...totals, [outcome.status]: (totals[outcome.status] || 0) + 1 }), {});
+    logger.operation(`Associations: ${counts.created || 0} created, ${counts.existing || 0} already linked, ${counts.skipped || 0} skipped, ${counts.failed || 0} failed`);
+    return outcomes;
+  }
+
+  // Marks pairs whose contact is already linked to the account with every type they need.
+  // A failed lookup only costs the duplicate check - v4 creates are idempotent.
+  async markExistingAssociations(outcomes) {
+    let linked;
     try {
-      const associationTypeId = await this.getAssociationTypeId();
-      
-      // Create lookup maps
-      const accountMap = new Map();
-      accountResults.forEach(account => {
-        if (account.properties && account.properties.id) {
-          accountMap.set(account.properties.id, account.id);
-        }
-      });
-      
-      const contactMap = new Map();
-      contactResults.forEach(contact => {
-        if (contact.properties && contact.properties.email) {
-          contactMap.set(contact.properties.email, contact.id);
-        }
-      });
+      linked = await this.getAssociatedAccountIds(outcomes.map(outcome => outcome.contactHubSpotId));
+    } catch (error) {
+      if (error.code === 'HUBSPOT_DAILY_QUOTA_EXHAUSTED') throw error;
+      logger.warn(`Could not read existing associations: ${error.message}`);
+      return;
+    }
 
-      logger.debug(`Account mapping: ${Array.from(accountMap.entries()).map(([k,v]) => `${k}→${v}`).join(', ')}`);
-      logger.debug(`Contact mapping: ${Array.from(contactMap.entries()).map(([k,v]) => `${k}→${v}`).join(', ')}`);
-      logger.debug(`Association pairs: ${associationPairs.map(p => `${p.accountId}↔${p.contactEmail}`).join(', ')}`);
+    outcomes.forEach(outcome => {
+      const typeIds = linked.get(String(outcome.contactHubSpotId)).get(String(outcome.accountHubSpotId));
+      if (typeIds && outcome.associationTypeIds.every(typeId => typeIds.has(typeId))) {
+        outcome.status = 'existing';
+      }
+    });
+  }
 
-      const inputs = [];
-      
-      associationPairs.forEach(pair => {
-        const accountHubSpotId = accountMap.get(pair.accountId);
-        const contactHubSpotId = contactMap.get(pair.contactEmail);
-        
-        logger.debug(`Pair ${pair.accountId}↔${pair.contactEmail}: account=${accountHubSpotId}, contact=${contactHubSpotId}`);
-        
-        if (accountHubSpotId && contactHubSpotId) {
-          inputs.push({
-            _from: { id: contactHubSpotId },
-            to: { id: accountHubSpotId },
-            type: associationTypeId
-          });
-        } else {
-          logger.warn(`Skipping association - missing IDs: account=${accountHubSpotId}, contact=${contactHubSpotId}`);
-        }
+  // Accounts each contact is linked to: Map(contactId → Map(accountId → Set of type IDs))
+  getAssociatedAccountIds(contactIds) {
+    return this.readAssociations('contacts', this.accountsObjectTypeId, contactIds);
+  }
+
+  // Contacts each account is linked to: Map(accountId → Map(contactId → Set of type IDs))
+  getAssociatedContactIds(accountIds) {
+    return this.readAssociations(this.accountsObjectTypeId, 'contacts', accountIds);
+  }
+
+  // Reads associations through the v4 batch API, ASSOCIATION_BATCH_SIZE objects per request.
+  // Only types the integration manages are returned (see resolveAssociationTypes).
+  async readAssociations(fromObjectType, toObjectType, fromIds) {
+    await this.ensureValidToken();
+    const { managedTypeIds } = await this.resolveAssociationTypes();
+    const ids = [...new Set(fromIds.map(String))];
+    const linked = new Map(ids.map(id => [id, new Map()]));
+
+    for (let i = 0; i < ids.length; i += ASSOCIATION_BATCH_SIZE) {
+      const chunk = ids.slice(i, i + ASSOCIATION_BATCH_SIZE);
+      const response = await this.callApi(() => this.client.crm.associations.v4.batchApi.getPage(
+        fromObjectType,
+        toObjectType,
+        { inputs: chunk.map(id => ({ id })) }
+      ));
+      (response.results || []).forEach(result => {
+        const targets = linked.get(String(result._from.id));
+        if (!targets) return;
+        (result.to || []).forEach(target => {
+          const typeIds = (target.associationTypes || [])
+            .map(type => Number(type.typeId))
+            .filter(typeId => managedTypeIds.has(typeId));
+          if (typeIds.length > 0) {
+            targets.set(String(target.toObjectId), new Set(typeIds));
+          }
+        });
       });
+    }
+
+    return linked;
+  }
+
+  // Removes association labels between contact-account pairs, ASSOCIATION_BATCH_SIZE per
+  // request: a pair's `associationTypeIds`, or the configured type. Other labels between the
+  // same records are kept. Returns each pair with status removed or failed.
+  async batchRemoveAssociations(pairs) {
+    await this.ensureValidToken();
 
-      if (inputs.length === 0) {
-        logger.warn('No valid associations to create');
-        return [];
+    if (pairs.length === 0) return [];
+
+    const { default: defaultType } = await this.resolveAssociationTypes();
+    const outcomes = pairs.map(pair => ({ ...pair, status: 'pending', error: null }));
+
+    for (let i = 0; i < outcomes.length; i += ASSOCIATION_BATCH_SIZE) {
+      const chunk = outcomes.slice(i, i + ASSOCIATION_BATCH_SIZE);
+      try {
+        await this.callApi(() => this.client.crm.associations.v4.batchApi.archiveLabels(
+          'contacts',
+          this.accountsObjectTypeId,
+          {
+            inputs: chunk.map(outcome => ({
+              _from: { id: String(outcome.contactHubSpotId) },
+              to: { id: String(outcome.accountHubSpotId) },
+              types: this.associationTypeInputs(outcome.associationTypeIds || [defaultType.typeId])
+            }))
+          }
+        ));
+        chunk.forEach(outcome => {
+          outcome.status = 'removed';
+        });
+      } catch (error) {
+        if (error.code === 'HUBSPOT_DAILY_QUOTA_EXHAUSTED') throw error;
+        logger.warn(`Batch association removal failed: ${error.message}`);
+        chunk.forEach(outcome => {
+          outcome.status = 'failed';
+          outcome.error = this.getErrorMessage(error);
+        });
       }
+    }
 
-      logger.operation(`Creating ${inputs.length} associations using v4 API`);
-      logger.debug('Association inputs:', JSON.stringify(inputs, null, 2));
-      
-      const results = [];
-      for (const input of inputs) {
-        try {
-          console.log(`🔗 Creating association: ${input._from.id} → ${input.to.id}`);
-          const response = await this.client.crm.associations.v4.basicApi.create(
-            'contacts',
-            input._from.id,
-            this.accountsObjectTypeId,
-            input.to.id,
-            [{ 
-              associationCategory: 'USER_DEFINED', 
-              associationTypeId: input.type 
-            }]
-          );
-          results.push(response);
-          console.log(`✅ Successfully created association: ${input._from.id} → ${input.to.id}`);
-        } catch (error) {
-          console.log(`⚠️  Failed to create association ${input._from.id} → ${input.to.id}: ${error.message}`);
+    const removed = outcomes.filter(outcome => outcome.status === 'removed').length;
+    logger.operation(`Stale associations: ${removed} removed, ${outcomes.length - removed} failed`);
+    return outcomes;
+  }
+
+  async createAssociationChunk(outcomes) {
+    if (outcomes.length === 0) return;
+
+    let response;
+    try {
+      response = await this.callApi(() => this.client.crm.associations.v4.batchApi.create(
+        'contacts',
+        this.accountsObjectTypeId,
+        {
+          inputs: outcomes.map(outcome => ({
+            _from: { id: String(outcome.contactHubSpotId) },
+            to: { id: String(outcome.accountHubSpotId) },
+            types: this.associationTypeInputs(outcome.associationTypeIds)
+          }))
         }
-      }
-      
-      console.log(`✅ Successfully created ${results.length} of ${inputs.length} associations`);
-      return results;
-      
+      ));
     } catch (error) {
-      if (error.code === 401) {
-        console.log('Unauthorized error, refreshing token and retrying...');
-        await this.refreshAccessToken();
-        return await this.batchCreateAssociations(associationPairs, accountResults, contactResults);
-      }
-      console.error('Error in batch create associations:', error);
-      // Don't throw - associations are not critical for the core functionality
-      console.log('⚠️ Continuing without associations...');
-      return [];
+      if (error.code === 'HUBSPOT_DAILY_QUOTA_EXHAUSTED') throw error;
+      // Associations are not critical for the core import - report them and carry on
+      logger.warn(`Batch association create failed: ${error.message}`);
+      outcomes.forEach(outcome => {
+        outcome.status = 'failed';
+        outcome.error = this.getErrorMessage(error);
+      });
+      return;
     }
+
+    const created = new Set((response.results || []).map(result => `${result.fromObjectId}|${result.toObjectId}`));
+    const errorMessage = (response.errors || []).map(error => error.message).join('; ') || 'Not returned in HubSpot batch association results';
+    outcomes.forEach(outcome => {
+      if (created.has(`${outcome.contactHubSpotId}|${outcome.accountHubSpotId}`)) {
+        outcome.status = 'created';
+      } else {
+        outcome.status = 'failed';
+        outcome.error = errorMessage;
+      }
+    });
   }
 }
 
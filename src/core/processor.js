@@ -1,30 +1,47 @@
-const csv = require('csv-parser');
 const fs = require('fs');
+const { CsvRowStream, parseCSVText, unescapeNewlines } = require('./csv-stream');
+const FieldMapping = require('./field-mapping');
+const { EmailPolicy } = require('./email-policy');
+const { ValidationRules } = require('./validation-rules');
+const { Deduplicator, DEDUPE_STRATEGIES } = require('./dedupe');
+const { hashRecord } = require('./snapshot-index');
 
 class HighPerformanceProcessor {
-  constructor() {
+  constructor(options = {}) {
     this.results = [];
+    this.delimiter = this.resolveDelimiter(options.delimiter || process.env.CSV_DELIMITER || ',');
+    this.fieldMapping = options.fieldMapping || FieldMapping.load(options.mappingFile);
+    // Normalises contact emails and decides which addresses are rejected (see email-policy.js)
+    this.emailPolicy = options.emailPolicy || EmailPolicy.load(options.emailPolicyFile);
+    // Per-deployment range, enum, regex and cross-field checks (see validation-rules.js)
+    this.validationRules = options.validationRules || ValidationRules.load(options.validationRulesFile);
+    // Optional column naming each row's association label(s), e.g. "Primary user;Billing contact"
+    this.associationLabelColumn = options.associationLabelColumn || process.env.HUBSPOT_ASSOCIATION_LABEL_COLUMN || null;
+    // How duplicate user_ids and shared emails are resolved: last-wins, highest-counts or reject
+    this.dedupeStrategy = options.dedupeStrategy || process.env.HUBSPOT_DEDUPE_STRATEGY || 'last-wins';
+    if (!DEDUPE_STRATEGIES.includes(this.dedupeStrategy)) {
+      throw new Error(`Invalid HUBSPOT_DEDUPE_STRATEGY "${this.dedupeStrategy}" (expected one of ${DEDUPE_STRATEGIES.join(', ')})`);
+    }
+  }
+
+  // Allow "tab" / "\\t" in env config, where a literal tab is awkward to write
+  resolveDelimiter(delimiter) {
+    return delimiter === 'tab' || delimiter === '\\t' ? '\t' : delimiter;
   }
 
   async parseCSV(input) {
     // If input is a string (CSV data), parse directly
-    if (typeof input === 'string') {
+    if (typeof input === 'string' && !this.isFilePath(input)) {
       return this.parseCSVString(input);
     }
     
-    // If input is a file path, parse from file
+    // If input is a file path, stream it through the same parser
     return new Promise((resolve, reject) => {
       const results = [];
       
-      fs.createReadStream(input)
-        .pipe(csv())
-        .on('data', (data) => {
-          const cleanedData = {};
-          Object.keys(data).forEach(key => {
-            const cleanKey = key.trim().toLowerCase().replace(/\s+/g, '_').replace(/"/g, '');
-            cleanedData[cleanKey] = data[key].trim().replace(/"/g, '');
-          });
-          results.push(cleanedData);
+      this.createCSVStream(input)
+        .on('data', (row) => {
+          results.push(row);
         })
         .on('end', () => {
           console.log(`Parsed ${results.length} rows from CSV`);
@@ -37,26 +54,73 @@ class HighPerformanceProcessor {
     });
   }
 
-  parseCSVString(csvData) {
-    // Parse CSV string directly for tests
-    // Handle both actual newlines and escaped newlines
-    const normalizedData = csvData.replace(/\\n/g, '\n');
-    const lines = normalizedData.split('\n').filter(line => line.trim());
-    if (lines.length === 0) return [];
-    
-    const headers = lines[0].split(',').map(h => h.trim());
-    const results = [];
-    
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(',').map(v => v.trim());
-      const row = {};
-      headers.forEach((header, index) => {
-        row[header] = values[index] || '';
-      });
-      results.push(row);
+  // A bare file path has no line breaks and exists on disk; anything else is CSV content
+  isFilePath(input) {
+    return !/[\r\n]/.test(input) && !input.includes('\\n') && fs.existsSync(input);
+  }
+
+  // Readable stream of normalised row objects from a CSV file
+  createCSVStream(filePath) {
+    const source = fs.createReadStream(filePath);
+    const parser = new CsvRowStream({ delimiter: this.delimiter });
+    source.on('error', error => parser.destroy(error));
+    return source.pipe(parser);
+  }
+
+  // Stream a CSV file as fixed-size windows of rows. The source stream stays paused
+  // while the consumer awaits, so memory is bounded by windowSize regardless of file size.
+  async *readRecordWindows(filePath, windowSize = 5000) {
+    let window = [];
+
+    for await (const row of this.createCSVStream(filePath)) {
+      window.push(row);
+      if (window.length >= windowSize) {
+        yield window;
+        window = [];
+      }
     }
-    
-    return results;
+
+    if (window.length > 0) {
+      yield window;
+    }
+  }
+
+  parseCSVString(csvData) {
+    return parseCSVText(unescapeNewlines(csvData), { delimiter: this.delimiter });
+  }
+
+  // Dedupe stage: add() every row of the file, resolve(), then filter() each window
+  createDeduplicator(strategy = this.dedupeStrategy) {
+    return new Deduplicator({ strategy, describeRow: row => this.describeForDedupe(row) });
+  }
+
+  // Same stage for rows already in memory: { records, dropped: [{ row, reason }], conflicts }
+  dedupeRecords(rows) {
+    const deduplicator = this.createDeduplicator();
+    rows.forEach(row => deduplicator.add(row));
+    const conflicts = deduplicator.resolve();
+    return { ...deduplicator.filter(rows), conflicts };
+  }
+
+  // Emails are compared by match key, and hashed in their normalised form, so rows differing
+  // only in email case are repeats rather than conflicts
+  describeForDedupe(row) {
+    const accountData = this.mapAccountFields(row);
+    const contactData = this.mapContactFields(row);
+    return {
+      userId: accountData ? accountData.id : null,
+      email: this.getContactMatchKey(contactData.email),
+      hash: hashRecord([accountData, contactData, this.getAssociationLabels(row)]),
+      count: this.getSubscriptionCount(accountData)
+    };
+  }
+
+  // Sum of the account's numeric properties (the subscription counts in the default mapping)
+  getSubscriptionCount(accountData) {
+    if (!accountData) return 0;
+    return this.fieldMapping.fieldsFor('accounts')
+      .filter(field => field.type === 'number')
+      .reduce((total, field) => total + (Number(accountData[field.property]) || 0), 0);
   }
 
   // Smart filtering: Only process records that need updates
@@ -64,12 +128,19 @@ class HighPerformanceProcessor {
     const activeRecords = [];
     const inactiveRecords = [];
     const allRecordsForCreation = [];
+    const invalidRecords = [];
+    const warningRecords = [];
     
     rows.forEach(row => {
-      if (this.validateRow(row)) {
-        const activeSub = this.convertToBoolean(row.active_sub);
-        
-        if (activeSub) {
+      const { errors, warnings } = this.getValidationIssues(row);
+      if (errors.length > 0) {
+        invalidRecords.push({ row, reason: errors.join('; ') });
+      } else {
+        if (warnings.length > 0) {
+          // Imported anyway; the warnings are reported against the row
+          warningRecords.push({ row, reason: warnings.join('; ') });
+        }
+        if (this.isActiveSubscription(row)) {
           // Always process active subscriptions
           activeRecords.push(row);
         } else {
@@ -85,11 +156,19 @@ class HighPerformanceProcessor {
     console.log(`   Active subscriptions to process: ${activeRecords.length}`);
     console.log(`   Inactive records for deactivation/creation check: ${inactiveRecords.length}`);
     console.log(`   Total records available for creation workflow: ${allRecordsForCreation.length}`);
+    if (invalidRecords.length > 0) {
+      console.log(`   Rejected by validation: ${invalidRecords.length}`);
+    }
+    if (warningRecords.length > 0) {
+      console.log(`   Imported with validation warnings: ${warningRecords.length}`);
+    }
 
     return {
       activeRecords,
       inactiveRecords,
       allRecordsForCreation,
+      invalidRecords,
+      warningRecords,
       totalReduction: 0 // Updated logic processes based on existence, not just activity
     };
   }
@@ -99,37 +178,42 @@ class HighPerformanceProcessor {
     const deactivationMap = new Map();
     
     inactiveRecords.forEach(row => {
-      if (row.user_id) {
-        deactivationMap.set(row.user_id, {
-          user_id: row.user_id,
-          active_subscription: false,
-          weekly_subscriptions: parseInt(row.weekly_sub_count) || 0,
-          monthly_subscriptions: parseInt(row.monthly_sub_count) || 0,
-          daily_subscriptions: parseInt(row.daily_sub_count) || 0
-        });
+      const accountData = this.mapAccountFields(row);
+      if (accountData) {
+        deactivationMap.set(accountData.id, this.fieldMapping.filterForUpdate('accounts', accountData));
       }
     });
 
     return deactivationMap;
   }
 
-  validateRow(row, requiredFields = ['email', 'user_id']) {
-    const missingFields = requiredFields.filter(field => !row[field] || row[field].trim() === '');
-    
-    if (missingFields.length > 0) {
-      return false;
-    }
+  validateRow(row, requiredFields = this.fieldMapping.getRequiredColumns()) {
+    return this.getValidationErrors(row, requiredFields).length === 0;
+  }
 
-    if (row.email && !this.isValidEmail(row.email)) {
-      return false;
+  // Reasons a row cannot be imported; empty when the row is valid
+  getValidationErrors(row, requiredFields = this.fieldMapping.getRequiredColumns()) {
+    return this.getValidationIssues(row, requiredFields).errors;
+  }
+
+  // { errors, warnings }: errors reject the row, warnings are reported and the row imported
+  getValidationIssues(row, requiredFields = this.fieldMapping.getRequiredColumns()) {
+    const errors = requiredFields
+      .filter(field => !row[field] || row[field].trim() === '')
+      .map(field => `Missing required field ${field}`);
+
+    const email = row[this.fieldMapping.getKeyField('contacts').source];
+    if (email) {
+      errors.push(...this.emailPolicy.getErrors(email));
     }
 
-    return true;
+    const violations = this.validationRules.check(row);
+    return { errors: [...errors, ...violations.errors], warnings: violations.warnings };
   }
 
+  // Well formed and allowed by the email policy (typo and disposable domains)
   isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+    return this.emailPolicy.getErrors(email).length === 0;
   }
 
   // Alias for test compatibility
@@ -145,68 +229,57 @@ class HighPerformanceProcessor {
     return Boolean(value);
   }
 
+  // The email is normalised here, so every lookup, batch and association uses the address
+  // as it is written to HubSpot
   mapContactFields(row) {
-    // CSV to Contacts mapping per user specifications
-    const contactMapping = {
-      email: row.email, // email : email (primary id)
-      // Ignore names as specified
-      // user_type : user_type (multiselect field with same mapping as accounts: WIX→USAMPS)
-      user_type: this.mapAccountType(row.user_type) // Use same mapping as accounts
-    };
-
-    const cleanedContact = {};
-    Object.keys(contactMapping).forEach(key => {
-      if (contactMapping[key] !== undefined && contactMapping[key] !== null && contactMapping[key] !== '') {
-        cleanedContact[key] = typeof contactMapping[key] === 'string' ? contactMapping[key].trim() : contactMapping[key];
-      }
-    });
+    const contactData = this.fieldMapping.mapRow(row, 'contacts') || {};
+    if (contactData.email) {
+      contactData.email = this.emailPolicy.normalize(contactData.email);
+    }
+    return contactData;
+  }
 
-    return cleanedContact;
+  // Key a CSV email and a HubSpot contact's email are matched on (see EmailPolicy.matchKey)
+  getContactMatchKey(email) {
+    return email ? this.emailPolicy.matchKey(email) : null;
   }
 
   mapAccountFields(row) {
-    // CSV to Accounts mapping for PRODUCTION portal 243898732
-    const accountMapping = {
-      // user_id : id (primary id)
-      id: row.user_id,
-      // user_type : account_type (enumeration: MP→MP, WIX→USAMPS)
-      account_type: this.mapAccountType(row.user_type),
-      // active_sub : active_subscription (enumeration: true/false)
-      active_subscription: this.convertToBoolean(row.active_sub) ? 'true' : 'false',
-      // weekly_sub_count : weekly_subscriptions (number)
-      weekly_subscriptions: parseInt(row.weekly_sub_count) || 0,
-      // monthly_sub_count : monthly_subscriptions (number)
-      monthly_subscriptions: parseInt(row.monthly_sub_count) || 0,
-      // daily_sub_count : daily_subscriptions (number)
-      daily_subscriptions: parseInt(row.daily_sub_count) || 0,
-      // Set other subscription-related fields
-      ever_had_subscription: this.convertToBoolean(row.active_sub) ? 'true' : 'false'
-      // Note: total_subscriptions is a calculated property and cannot be set
-      // Ignore email, _id (as specified)
-    };
-
-    const cleanedAccount = {};
-    Object.keys(accountMapping).forEach(key => {
-      const value = accountMapping[key];
-      if (value !== undefined && value !== null && value !== '') {
-        cleanedAccount[key] = typeof value === 'string' ? value.trim() : value;
-      }
-    });
-
-    // Return account object if it has the required id field
-    return cleanedAccount.id ? cleanedAccount : null;
+    return this.fieldMapping.mapRow(row, 'accounts');
   }
 
   mapAccountType(userType) {
-    // MP maps to MP and WIX maps to USAMPS (using actual HubSpot property options)
-    const accountTypeMapping = {
-      'MP': 'MP',
-      'WIX': 'USAMPS'
-    };
-    return accountTypeMapping[userType] || userType;
+    return this.fieldMapping.lookup('userType', userType);
+  }
+
+  // Active status comes from the mapped active_subscription property, so it follows
+  // whichever CSV column the mapping assigns to it
+  isActiveSubscription(row) {
+    const accountData = this.mapAccountFields(row);
+    return Boolean(accountData) && this.convertToBoolean(accountData.active_subscription);
   }
 
   // Group records for batch processing
+  // Contact-account pair for a row; `labels` is only set when the row names its own labels,
+  // otherwise the client links it with the configured association type
+  createAssociationPair(accountData, contactData, row) {
+    const pair = { accountId: accountData.id, contactEmail: contactData.email };
+    const labels = this.getAssociationLabels(row);
+    if (labels) {
+      pair.labels = labels;
+    }
+    return pair;
+  }
+
+  // Labels are separated by ; or |
+  getAssociationLabels(row) {
+    if (!this.associationLabelColumn || !row[this.associationLabelColumn]) {
+      return null;
+    }
+    const labels = String(row[this.associationLabelColumn]).split(/[;|]/).map(label => label.trim()).filter(Boolean);
+    return labels.length > 0 ? labels : null;
+  }
+
   groupForBatchProcessing(activeRecords) {
     const batchGroups = [];
     const batchSize = 100; // HubSpot batch API limit
@@ -217,6 +290,8 @@ class HighPerformanceProcessor {
       const accountBatch = [];
       const contactBatch = [];
       const associationPairs = [];
+      // Source rows by record key, so failures can be reported against CSV rows
+      const sourceRows = { accounts: new Map(), contacts: new Map() };
 
       batch.forEach(row => {
         const accountData = this.mapAccountFields(row);
@@ -224,15 +299,14 @@ class HighPerformanceProcessor {
 
         if (accountData) {
           accountBatch.push(accountData);
+          sourceRows.accounts.set(accountData.id, row);
         }
         if (contactData) {
           contactBatch.push(contactData);
+          sourceRows.contacts.set(contactData.email, row);
         }
         if (accountData && contactData) {
-          associationPairs.push({
-            accountId: accountData.id,
-            contactEmail: contactData.email
-          });
+          associationPairs.push(this.createAssociationPair(accountData, contactData, row));
         }
       });
 
@@ -240,6 +314,7 @@ class HighPerformanceProcessor {
         accounts: accountBatch,
         contacts: contactBatch,
         associations: associationPairs,
+        sourceRows,
         batchNumber: Math.floor(i / batchSize) + 1,
         totalBatches: Math.ceil(activeRecords.length / batchSize)
       });
@@ -249,8 +324,10 @@ class HighPerformanceProcessor {
     return batchGroups;
   }
 
-  // Determine processing strategy based on existence in HubSpot
-  categorizeRecordsByExistence(allRecords, existingAccountIds, existingContactEmails) {
+  // Determine processing strategy based on existence in HubSpot. When existingProperties
+  // ({ accounts, contacts }: Maps of key → current HubSpot properties) is supplied, existing
+  // records whose mapped values already match are skipped instead of updated.
+  categorizeRecordsByExistence(allRecords, existingAccountIds, existingContactEmails, existingProperties = null) {
     const recordsToCreate = [];
     const recordsToUpdate = [];
     const recordsToSkip = [];
@@ -258,7 +335,6 @@ class HighPerformanceProcessor {
     allRecords.forEach(row => {
       const accountData = this.mapAccountFields(row);
       const contactData = this.mapContactFields(row);
-      const activeSub = this.convertToBoolean(row.active_sub);
       
       if (!accountData || !contactData) return;
       
@@ -266,29 +342,65 @@ class HighPerformanceProcessor {
       const contactExists = existingContactEmails.has(contactData.email);
       
       if (!accountExists || !contactExists) {
-        // If account or contact doesn't exist, create them (regardless of active_sub status)
+        // Whichever record doesn't exist is created (regardless of active_sub status);
+        // the other is updated if it exists
         recordsToCreate.push(row);
-      } else if (activeSub) {
-        // Both exist and subscription is active - update
-        recordsToUpdate.push(row);
+      } else if (existingProperties && !this.hasChanges(accountData, contactData, existingProperties)) {
+        // Both exist and HubSpot already holds these values - nothing to send
+        recordsToSkip.push(row);
       } else {
-        // Both exist and subscription is inactive - check if needs deactivation
-        recordsToUpdate.push(row); // Still update to sync the inactive status
+        // Both exist and at least one mapped value differs (or current values are unknown)
+        recordsToUpdate.push(row);
       }
     });
 
     console.log(`📊 Processing Strategy:`);
     console.log(`   Records to CREATE: ${recordsToCreate.length} (new accounts/contacts)`);
     console.log(`   Records to UPDATE: ${recordsToUpdate.length} (existing accounts/contacts)`);
+    if (existingProperties) {
+      console.log(`   Records UNCHANGED: ${recordsToSkip.length} (skipped)`);
+    }
     console.log(`   Total operations: ${recordsToCreate.length + recordsToUpdate.length}`);
 
     return {
       toCreate: recordsToCreate,
       toUpdate: recordsToUpdate,
+      toSkip: recordsToSkip,
       totalOperations: recordsToCreate.length + recordsToUpdate.length
     };
   }
 
+  hasChanges(accountData, contactData, existingProperties) {
+    const accountChanges = this.getUpdateChanges('accounts', existingProperties.accounts.get(accountData.id), accountData);
+    const contactChanges = this.getUpdateChanges('contacts', existingProperties.contacts.get(contactData.email), contactData);
+    return Object.keys(accountChanges).length > 0 || Object.keys(contactChanges).length > 0;
+  }
+
+  // Properties in `proposed` whose normalised value differs from `current`. Key properties
+  // identify the record and are never sent as changes.
+  diffProperties(objectType, current, proposed) {
+    const mapping = this.fieldMapping;
+    const existing = current || {};
+    const changes = {};
+
+    Object.keys(proposed).forEach(property => {
+      if (mapping.isKeyProperty(objectType, property)) return;
+      const before = mapping.normalizeValue(objectType, property, existing[property]);
+      const after = mapping.normalizeValue(objectType, property, proposed[property]);
+      if (before !== after) {
+        changes[property] = proposed[property];
+      }
+    });
+
+    return changes;
+  }
+
+  // What an update to an existing record would actually send: the mapped values that may
+  // overwrite existing data (see onUpdate in the mapping) and differ from HubSpot's
+  getUpdateChanges(objectType, current, properties) {
+    return this.diffProperties(objectType, current, this.fieldMapping.filterForUpdate(objectType, properties));
+  }
+
   // Generate performance report
   generatePerformanceReport(originalCount, operationsCount, estimatedTimeReduction) {
     console.log('\n🚀 HIGH-PERFORMANCE PROCESSING REPORT');
@@ -325,20 +437,9 @@ class HighPerformanceProcessor {
 
   // Test compatibility methods
   processDataForAccounts(csvData) {
-    return csvData.map(row => {
-      const accountData = this.mapAccountFields(row);
-      if (accountData) {
-        // Convert string boolean back to actual boolean for tests
-        if (accountData.active_subscription === 'true') {
-          accountData.active_subscription = true;
-        } else if (accountData.active_subscription === 'false') {
-          accountData.active_subscription = false;
-        }
-        // Remove ever_had_subscription for test compatibility
-        delete accountData.ever_had_subscription;
-      }
-      return accountData;
-    }).filter(account => account !== null);
+    return csvData
+      .map(row => this.mapAccountFields(row))
+      .filter(account => account !== null);
   }
 
   processDataForContacts(csvData) {
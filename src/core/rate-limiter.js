@@ -0,0 +1,102 @@
+/**
+ * Token-bucket rate limiter for HubSpot API quotas
+ *
+ * HubSpot enforces a burst limit per rolling 10 seconds and a daily request quota.
+ * One limiter instance is shared by every call a client makes (search, create,
+ * update, associations), so parallel batches draw from the same budget.
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class HubSpotRateLimiter {
+  constructor(options = {}) {
+    this.burstLimit = options.burstLimit || parseInt(process.env.HUBSPOT_RATE_LIMIT_PER_10S) || 100;
+    this.intervalMs = options.intervalMs || 10000;
+    this.dailyLimit = options.dailyLimit || parseInt(process.env.HUBSPOT_DAILY_LIMIT) || 250000;
+
+    this.refillPerMs = this.burstLimit / this.intervalMs;
+    this.tokens = this.burstLimit;
+    this.lastRefill = Date.now();
+    this.day = this.currentDay();
+    this.dailyUsed = 0;
+    this.pausedUntil = 0;
+    this.tail = Promise.resolve();
+
+    this.stats = {
+      requests: 0,
+      throttledRequests: 0,
+      throttledMs: 0
+    };
+  }
+
+  // Resolves when a request may be sent. Callers are served in FIFO order.
+  acquire() {
+    const ticket = this.tail.then(() => this.take());
+    this.tail = ticket.catch(() => {});
+    return ticket;
+  }
+
+  async take() {
+    this.resetDailyQuotaIfNeeded();
+    if (this.dailyUsed >= this.dailyLimit) {
+      const error = new Error(`HubSpot daily API quota of ${this.dailyLimit} requests exhausted (resets at midnight UTC)`);
+      error.code = 'HUBSPOT_DAILY_QUOTA_EXHAUSTED';
+      throw error;
+    }
+
+    const pauseMs = this.pausedUntil - Date.now();
+    if (pauseMs > 0) {
+      this.stats.throttledRequests++;
+      this.stats.throttledMs += pauseMs;
+      await sleep(pauseMs);
+    }
+
+    this.refill();
+    if (this.tokens < 1) {
+      const waitMs = Math.ceil((1 - this.tokens) / this.refillPerMs);
+      this.stats.throttledRequests++;
+      this.stats.throttledMs += waitMs;
+      await sleep(waitMs);
+      this.refill();
+    }
+
+    this.tokens -= 1;
+    this.dailyUsed++;
+    this.stats.requests++;
+  }
+
+  // Hold every caller until HubSpot's rate-limit window has passed (e.g. after a 429)
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burstLimit, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  resetDailyQuotaIfNeeded() {
+    const today = this.currentDay();
+    if (today !== this.day) {
+      this.day = today;
+      this.dailyUsed = 0;
+    }
+  }
+
+  currentDay() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      dailyUsed: this.dailyUsed,
+      dailyRemaining: Math.max(0, this.dailyLimit - this.dailyUsed)
+    };
+  }
+}
+
+module.exports = HubSpotRateLimiter;
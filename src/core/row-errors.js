@@ -0,0 +1,151 @@
+/**
+ * Per-row error reporting
+ *
+ * Rows rejected by validation or dropped as conflicting duplicates, and rows whose
+ * HubSpot writes fail, are recorded as structured errors (file row number, user_id,
+ * email, phase, reason) so a run can be exported as a rejects file and the source
+ * data fixed. File runs append them to a RowErrorLog as they go instead of keeping
+ * them in memory.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-file');
+const { parseCSVText } = require('./csv-stream');
+
+const ROW_ERROR_PHASES = ['validation', 'duplicate', 'deactivation', 'create', 'update', 'association'];
+
+const CSV_COLUMNS = [
+  ['row_number', 'rowNumber'],
+  ['user_id', 'userId'],
+  ['email', 'email'],
+  ['phase', 'phase'],
+  ['object_type', 'objectType'],
+  ['reason', 'reason']
+];
+
+// `columns` names the CSV columns holding the account and contact keys
+function createRowError(row, { phase, reason, objectType = null }, columns = { userId: 'user_id', email: 'email' }) {
+  if (!ROW_ERROR_PHASES.includes(phase)) {
+    throw new Error(`Unknown row error phase "${phase}"`);
+  }
+  return {
+    rowNumber: (row && row.rowNumber) || null,
+    userId: (row && row[columns.userId]) || null,
+    email: (row && row[columns.email]) || null,
+    phase,
+    objectType,
+    reason
+  };
+}
+
+function escapeCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_HEADER = `${CSV_COLUMNS.map(([column]) => column).join(',')}\n`;
+
+function formatRowErrorLine(error) {
+  return `${CSV_COLUMNS.map(([, key]) => escapeCsvField(error[key])).join(',')}\n`;
+}
+
+function formatRowErrorsCsv(rowErrors) {
+  return CSV_HEADER + rowErrors.map(formatRowErrorLine).join('');
+}
+
+// Inverse of formatRowErrorsCsv, for rejects kept on disk as CSV
+function parseRowErrorsCsv(text) {
+  return parseCSVText(text).map(row => {
+    const rowError = {};
+    CSV_COLUMNS.forEach(([column, key]) => {
+      rowError[key] = row[column] === undefined || row[column] === '' ? null : row[column];
+    });
+    rowError.rowNumber = rowError.rowNumber === null ? null : Number(rowError.rowNumber);
+    return rowError;
+  });
+}
+
+// Rejects are written as JSON when the path ends in .json, CSV otherwise
+async function writeRowErrors(filePath, rowErrors) {
+  const contents = path.extname(filePath).toLowerCase() === '.json'
+    ? JSON.stringify(rowErrors, null, 2)
+    : formatRowErrorsCsv(rowErrors);
+  await writeFileAtomic(filePath, contents);
+  return filePath;
+}
+
+// Validation warnings are written next to the rejects file, as <rejects file>-warnings.<ext>
+function warningsFilePath(rejectsFile) {
+  const extension = path.extname(rejectsFile);
+  return `${rejectsFile.slice(0, rejectsFile.length - extension.length)}-warnings${extension}`;
+}
+
+// Append-only rejects CSV. Entries are buffered and appended by flush(), so a run's
+// errors are never held in memory or rewritten. position() is what a checkpoint saves;
+// open() with it drops anything appended after that point.
+class RowErrorLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.buffer = [];
+    this.size = 0;
+    this.count = 0;
+    this.pendingFlush = Promise.resolve();
+  }
+
+  async open(position = null) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+    if (position && position.size > 0) {
+      try {
+        await fs.truncate(this.filePath, position.size);
+        this.size = position.size;
+        this.count = position.count;
+        return this;
+      } catch (error) {
+        // Deleted since the checkpoint; start over with the entries recorded from now on
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    await fs.writeFile(this.filePath, CSV_HEADER, { mode: 0o600 });
+    this.size = Buffer.byteLength(CSV_HEADER);
+    this.count = 0;
+    return this;
+  }
+
+  append(rowError) {
+    this.buffer.push(formatRowErrorLine(rowError));
+  }
+
+  // Flushes are chained so concurrent callers never interleave partial writes
+  flush() {
+    this.pendingFlush = this.pendingFlush.catch(() => {}).then(async () => {
+      if (this.buffer.length === 0) return;
+      const lines = this.buffer;
+      this.buffer = [];
+      const text = lines.join('');
+      await fs.appendFile(this.filePath, text);
+      this.size += Buffer.byteLength(text);
+      this.count += lines.length;
+    });
+    return this.pendingFlush;
+  }
+
+  // Size in bytes and entry count of what has been flushed
+  position() {
+    return { file: this.filePath, size: this.size, count: this.count };
+  }
+
+  async read() {
+    return parseRowErrorsCsv(await fs.readFile(this.filePath, 'utf8'));
+  }
+}
+
+module.exports = {
+  ROW_ERROR_PHASES,
+  RowErrorLog,
+  createRowError,
+  formatRowErrorsCsv,
+  parseRowErrorsCsv,
+  warningsFilePath,
+  writeRowErrors
+};
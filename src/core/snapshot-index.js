@@ -0,0 +1,50 @@
+/**
+ * Hash index of the last imported export, for delta syncs
+ *
+ * Maps each user_id to a short hash of its mapped record. The next run compares the new
+ * export against it, so only inserted and changed rows are sent to HubSpot and user_ids
+ * that disappeared are known without scanning HubSpot. The index lives in
+ * <data dir>/snapshots/last-import.json (or HUBSPOT_SNAPSHOT_INDEX_FILE) and is replaced
+ * atomically when a run completes.
+ */
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic-file');
+const { resolveDataPath } = require('./data-dir');
+
+// 64 bits of SHA-1: collisions between a row and its own previous version are negligible
+const HASH_LENGTH = 16;
+
+function hashRecord(record) {
+  return crypto.createHash('sha1').update(JSON.stringify(record)).digest('hex').slice(0, HASH_LENGTH);
+}
+
+class SnapshotIndexStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.HUBSPOT_SNAPSHOT_INDEX_FILE || resolveDataPath('snapshots', 'last-import.json');
+  }
+
+  // Map(user_id → hash), or null when no run has completed yet
+  async load() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    const data = JSON.parse(contents);
+    return new Map(Object.entries(data.rows || {}));
+  }
+
+  async save(index, fields = {}) {
+    await writeFileAtomic(this.filePath, JSON.stringify({
+      savedAt: new Date().toISOString(),
+      ...fields,
+      rows: Object.fromEntries(index)
+    }));
+  }
+}
+
+module.exports = { SnapshotIndexStore, hashRecord };
@@ -0,0 +1,124 @@
+/**
+ * Dry-run plan: what a sync would write to HubSpot, without writing it
+ *
+ * Collects records to create, field-level diffs for updates, deactivations and
+ * associations to create or remove. Existing records with nothing to change are only
+ * counted, so the plan grows with the changes rather than with the file. toJSON() gives the machine-readable plan; formatSummary() a
+ * readable report for the CLI and logs.
+ */
+
+// Pair each changed property (as computed by the processor's diff) with HubSpot's current value
+function describeChanges(current, changes) {
+  const existing = current || {};
+  const described = {};
+  Object.keys(changes).forEach(property => {
+    described[property] = {
+      from: existing[property] === undefined ? null : existing[property],
+      to: changes[property]
+    };
+  });
+  return described;
+}
+
+class SyncPlan {
+  constructor() {
+    this.generatedAt = new Date().toISOString();
+    this.creates = { accounts: [], contacts: [] };
+    this.updates = { accounts: [], contacts: [] };
+    this.unchanged = { accounts: 0, contacts: 0 };
+    this.deactivations = [];
+    this.associations = [];
+    this.associationRemovals = [];
+  }
+
+  addCreate(objectType, properties) {
+    this.creates[objectType].push({ properties });
+  }
+
+  addUpdate(objectType, { key, hubspotId, current, changes }) {
+    if (Object.keys(changes).length === 0) {
+      this.unchanged[objectType]++;
+      return;
+    }
+    this.updates[objectType].push({ key, hubspotId, changes: describeChanges(current, changes) });
+  }
+
+  addDeactivation({ key, hubspotId, current, changes }) {
+    this.deactivations.push({ key, hubspotId, changes: describeChanges(current, changes) });
+  }
+
+  addAssociation(accountId, contactEmail, labels = null) {
+    this.associations.push(labels ? { accountId, contactEmail, labels } : { accountId, contactEmail });
+  }
+
+  // Stale links are found from the account side, so the contact is identified by HubSpot ID
+  addAssociationRemoval(accountId, contactHubSpotId) {
+    this.associationRemovals.push({ accountId, contactHubSpotId });
+  }
+
+  getSummary() {
+    return {
+      accountsToCreate: this.creates.accounts.length,
+      contactsToCreate: this.creates.contacts.length,
+      accountsToUpdate: this.updates.accounts.length,
+      contactsToUpdate: this.updates.contacts.length,
+      accountsUnchanged: this.unchanged.accounts,
+      contactsUnchanged: this.unchanged.contacts,
+      accountsToDeactivate: this.deactivations.length,
+      associationsToCreate: this.associations.length,
+      associationsToRemove: this.associationRemovals.length
+    };
+  }
+
+  toJSON() {
+    return {
+      dryRun: true,
+      generatedAt: this.generatedAt,
+      summary: this.getSummary(),
+      creates: this.creates,
+      updates: this.updates,
+      deactivations: this.deactivations,
+      associations: this.associations,
+      associationRemovals: this.associationRemovals
+    };
+  }
+
+  // Readable report; lists at most `limit` changed records per section
+  formatSummary(limit = 10) {
+    const summary = this.getSummary();
+    const lines = [
+      '📝 DRY RUN PLAN - no changes were written to HubSpot',
+      '==========================================',
+      `Accounts to create:     ${summary.accountsToCreate.toLocaleString()}`,
+      `Contacts to create:     ${summary.contactsToCreate.toLocaleString()}`,
+      `Accounts to update:     ${summary.accountsToUpdate.toLocaleString()} (${summary.accountsUnchanged.toLocaleString()} unchanged)`,
+      `Contacts to update:     ${summary.contactsToUpdate.toLocaleString()} (${summary.contactsUnchanged.toLocaleString()} unchanged)`,
+      `Accounts to deactivate: ${summary.accountsToDeactivate.toLocaleString()}`,
+      `Associations to create: ${summary.associationsToCreate.toLocaleString()}`,
+      `Associations to remove: ${summary.associationsToRemove.toLocaleString()}`
+    ];
+
+    const formatChanges = changes => Object.entries(changes)
+      .map(([property, change]) => `${property}: ${change.from === null ? '∅' : change.from} → ${change.to}`)
+      .join(', ');
+
+    const section = (title, entries) => {
+      const changed = entries.filter(entry => Object.keys(entry.changes).length > 0);
+      if (changed.length === 0) return;
+      lines.push('', `${title}:`);
+      changed.slice(0, limit).forEach(entry => lines.push(`   ${entry.key}: ${formatChanges(entry.changes)}`));
+      if (changed.length > limit) {
+        lines.push(`   ... and ${(changed.length - limit).toLocaleString()} more`);
+      }
+    };
+
+    section('Account updates', this.updates.accounts);
+    section('Contact updates', this.updates.contacts);
+    section('Deactivations', this.deactivations);
+    lines.push('==========================================');
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = { SyncPlan, describeChanges };
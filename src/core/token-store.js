@@ -0,0 +1,161 @@
+/**
+ * Token storage backends for OAuth tokens
+ *
+ * - FileTokenStore: plaintext JSON file (0600), written atomically
+ * - EncryptedFileTokenStore: AES-256-GCM encrypted file, key from HUBSPOT_TOKEN_ENCRYPTION_KEY
+ * - EnvTokenStore: read-only, tokens come from HUBSPOT_OAUTH_ACCESS_TOKEN / HUBSPOT_OAUTH_REFRESH_TOKEN
+ *
+ * Every store exposes load() and save(tokens); HUBSPOT_TOKEN_STORE selects one.
+ */
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const logger = require('./logger');
+const { writeFileAtomic } = require('./atomic-file');
+
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const KEY_DERIVATION_SALT = 'hubspot-csv-integration/token-store';
+
+class FileTokenStore {
+  constructor(options = {}) {
+    this.type = 'file';
+    this.filePath = options.filePath;
+  }
+
+  async load() {
+    let contents;
+    try {
+      contents = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      // Only a missing file means "not authorised yet"; anything else (permissions, a
+      // directory in the way) must not be mistaken for it
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Unable to read token file ${this.filePath}: ${error.message}`);
+      }
+      logger.debug('No existing tokens found');
+      return null;
+    }
+    return this.deserialize(contents);
+  }
+
+  async save(tokens) {
+    await writeFileAtomic(this.filePath, this.serialize(tokens));
+  }
+
+  serialize(tokens) {
+    return JSON.stringify(tokens, null, 2);
+  }
+
+  deserialize(contents) {
+    return JSON.parse(contents);
+  }
+}
+
+class EncryptedFileTokenStore extends FileTokenStore {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'encrypted-file';
+    this.key = EncryptedFileTokenStore.deriveKey(options.encryptionKey);
+  }
+
+  // Accepts a 32-byte key as 64 hex chars or base64; anything else is treated as a passphrase
+  static deriveKey(encryptionKey) {
+    if (!encryptionKey) {
+      throw new Error('HUBSPOT_TOKEN_ENCRYPTION_KEY is required for the encrypted token store');
+    }
+    if (/^[0-9a-f]{64}$/i.test(encryptionKey)) {
+      return Buffer.from(encryptionKey, 'hex');
+    }
+    const decoded = Buffer.from(encryptionKey, 'base64');
+    if (decoded.length === 32 && decoded.toString('base64') === encryptionKey) {
+      return decoded;
+    }
+    return crypto.scryptSync(encryptionKey, KEY_DERIVATION_SALT, 32);
+  }
+
+  serialize(tokens) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+
+    return JSON.stringify({
+      version: 1,
+      algorithm: ENCRYPTION_ALGORITHM,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    }, null, 2);
+  }
+
+  deserialize(contents) {
+    const envelope = JSON.parse(contents);
+    if (envelope.algorithm !== ENCRYPTION_ALGORITHM || !envelope.data) {
+      throw new Error(`Token file ${this.filePath} is not an encrypted token file`);
+    }
+
+    try {
+      const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, this.key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(envelope.data, 'base64')),
+        decipher.final()
+      ]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Unable to decrypt token file ${this.filePath} - check HUBSPOT_TOKEN_ENCRYPTION_KEY`);
+    }
+  }
+}
+
+// Tokens are injected by the environment (e.g. a secrets manager) and never written to disk.
+// Refreshed tokens live in memory for the life of the process.
+class EnvTokenStore {
+  constructor(options = {}) {
+    this.type = 'env';
+    this.env = options.env || process.env;
+    this.memoryTokens = null;
+  }
+
+  async load() {
+    if (this.memoryTokens) {
+      return this.memoryTokens;
+    }
+    if (!this.env.HUBSPOT_OAUTH_ACCESS_TOKEN && !this.env.HUBSPOT_OAUTH_REFRESH_TOKEN) {
+      logger.debug('No OAuth tokens found in environment');
+      return null;
+    }
+    return {
+      access_token: this.env.HUBSPOT_OAUTH_ACCESS_TOKEN,
+      refresh_token: this.env.HUBSPOT_OAUTH_REFRESH_TOKEN
+    };
+  }
+
+  async save(tokens) {
+    logger.warn('Token store is read-only (HUBSPOT_TOKEN_STORE=env); refreshed tokens are kept in memory only');
+    this.memoryTokens = tokens;
+  }
+}
+
+// Defaults to the encrypted store whenever an encryption key is configured
+function createTokenStore(options = {}) {
+  const encryptionKey = options.encryptionKey || process.env.HUBSPOT_TOKEN_ENCRYPTION_KEY;
+  const type = options.type || process.env.HUBSPOT_TOKEN_STORE || (encryptionKey ? 'encrypted-file' : 'file');
+
+  switch (type) {
+    case 'file':
+      return new FileTokenStore(options);
+    case 'encrypted-file':
+      return new EncryptedFileTokenStore({ ...options, encryptionKey });
+    case 'env':
+      return new EnvTokenStore(options);
+    default:
+      throw new Error(`Unknown HUBSPOT_TOKEN_STORE "${type}" (expected "file", "encrypted-file" or "env")`);
+  }
+}
+
+module.exports = {
+  FileTokenStore,
+  EncryptedFileTokenStore,
+  EnvTokenStore,
+  createTokenStore
+};
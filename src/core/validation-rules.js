@@ -0,0 +1,210 @@
+/**
+ * Per-deployment row validation rules
+ *
+ * The rules file (JSON) lists rules checked against the raw CSV columns of every row:
+ *   range       { column | columns, min, max, integer } - numeric bounds
+ *   enum        { column, values, caseSensitive }       - allowed values
+ *   regex       { column, pattern, flags }              - value must match
+ *   crossField  { when, then: { any | all } }           - when one condition holds, others must too
+ * Conditions are { column } plus one of equals, in, min/max, pattern or present.
+ * Every rule has a severity: "error" (default) rejects the row, "warning" reports it and
+ * imports the row anyway. `message` overrides the generated explanation. Empty values are
+ * left to the mapping's required fields, except in crossField conditions.
+ *
+ * More rule types can be added with ValidationRules.registerRuleType(type, compile), where
+ * compile(rule) returns row => message-or-null and throws when the rule is misconfigured.
+ *
+ * HUBSPOT_VALIDATION_RULES_FILE points at custom rules; src/config/validation-rules.json is the default.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'validation-rules.json');
+const SEVERITIES = ['error', 'warning'];
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function getColumns(rule) {
+  const columns = rule.columns || (rule.column ? [rule.column] : []);
+  if (columns.length === 0) {
+    throw new Error('"column" or "columns" is required');
+  }
+  return columns;
+}
+
+function compilePattern(pattern, flags) {
+  if (!pattern) throw new Error('"pattern" is required');
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    throw new Error(`invalid pattern: ${error.message}`);
+  }
+}
+
+// Condition → row => boolean, used by crossField rules
+function compileCondition(condition) {
+  if (!condition || !condition.column) {
+    throw new Error('every condition needs a "column"');
+  }
+  const { column } = condition;
+  if (condition.present !== undefined) {
+    return row => isEmpty(row[column]) !== Boolean(condition.present);
+  }
+  if (condition.equals !== undefined || condition.in !== undefined) {
+    const values = (condition.in || [condition.equals]).map(value => String(value).toLowerCase());
+    return row => !isEmpty(row[column]) && values.includes(String(row[column]).trim().toLowerCase());
+  }
+  if (condition.pattern !== undefined) {
+    const pattern = compilePattern(condition.pattern, condition.flags);
+    return row => !isEmpty(row[column]) && pattern.test(String(row[column]).trim());
+  }
+  if (condition.min !== undefined || condition.max !== undefined) {
+    return row => {
+      const number = Number(row[column]);
+      return !isEmpty(row[column]) && Number.isFinite(number)
+        && (condition.min === undefined || number >= condition.min)
+        && (condition.max === undefined || number <= condition.max);
+    };
+  }
+  throw new Error(`condition on ${column} needs one of equals, in, pattern, min/max or present`);
+}
+
+function describeBounds(rule) {
+  if (rule.min !== undefined && rule.max !== undefined) return `between ${rule.min} and ${rule.max}`;
+  return rule.min !== undefined ? `at least ${rule.min}` : `at most ${rule.max}`;
+}
+
+const RULE_TYPES = {
+  range(rule) {
+    const columns = getColumns(rule);
+    if (rule.min === undefined && rule.max === undefined) {
+      throw new Error('"min" or "max" is required');
+    }
+    const kind = rule.integer ? 'a whole number' : 'a number';
+    return row => {
+      const problems = columns.filter(column => !isEmpty(row[column])).map(column => {
+        const value = String(row[column]).trim();
+        const number = Number(value);
+        if (!Number.isFinite(number) || (rule.integer && !Number.isInteger(number))) {
+          return `${column} must be ${kind}: ${value}`;
+        }
+        if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+          return `${column} must be ${describeBounds(rule)}: ${value}`;
+        }
+        return null;
+      }).filter(Boolean);
+      return problems.length > 0 ? problems.join('; ') : null;
+    };
+  },
+
+  enum(rule) {
+    const [column] = getColumns(rule);
+    if (!Array.isArray(rule.values) || rule.values.length === 0) {
+      throw new Error('"values" must list the allowed values');
+    }
+    const normalize = value => (rule.caseSensitive ? String(value) : String(value).toLowerCase());
+    const allowed = new Set(rule.values.map(normalize));
+    return row => {
+      if (isEmpty(row[column])) return null;
+      const value = String(row[column]).trim();
+      return allowed.has(normalize(value)) ? null : `${column} must be one of ${rule.values.join(', ')}: ${value}`;
+    };
+  },
+
+  regex(rule) {
+    const [column] = getColumns(rule);
+    const pattern = compilePattern(rule.pattern, rule.flags);
+    return row => {
+      if (isEmpty(row[column])) return null;
+      const value = String(row[column]).trim();
+      return pattern.test(value) ? null : `${column} does not match ${rule.pattern}: ${value}`;
+    };
+  },
+
+  crossField(rule) {
+    const when = compileCondition(rule.when);
+    const then = rule.then || {};
+    const mode = then.any ? 'any' : 'all';
+    const conditions = then.any || then.all;
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+      throw new Error('"then" needs an "any" or "all" list of conditions');
+    }
+    const checks = conditions.map(compileCondition);
+    const columns = conditions.map(condition => condition.column).join(', ');
+    return row => {
+      if (!when(row)) return null;
+      const passed = mode === 'any' ? checks.some(check => check(row)) : checks.every(check => check(row));
+      return passed ? null : `${rule.when.column} requires ${mode} of ${columns} to satisfy the rule`;
+    };
+  }
+};
+
+class ValidationRules {
+  constructor(definition = {}, source = 'validation rules') {
+    this.source = source;
+    this.rules = this.compile(definition.rules || []);
+  }
+
+  static load(filePath = process.env.HUBSPOT_VALIDATION_RULES_FILE || DEFAULT_RULES_FILE) {
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to load validation rules ${filePath}: ${error.message}`);
+    }
+    return new ValidationRules(definition || {}, filePath);
+  }
+
+  // compile(rule) → row => message or null; throw to report a misconfigured rule
+  static registerRuleType(type, compile) {
+    RULE_TYPES[type] = compile;
+  }
+
+  compile(definitions) {
+    const problems = [];
+    const rules = [];
+
+    definitions.forEach((rule, index) => {
+      const label = `rules[${index}]${rule.type ? ` (${rule.type})` : ''}`;
+      const severity = rule.severity || 'error';
+      if (!SEVERITIES.includes(severity)) {
+        problems.push(`${label}: "severity" must be one of ${SEVERITIES.join(', ')}`);
+        return;
+      }
+      const compileRule = Object.prototype.hasOwnProperty.call(RULE_TYPES, rule.type) ? RULE_TYPES[rule.type] : null;
+      if (!compileRule) {
+        problems.push(`${label}: "type" must be one of ${Object.keys(RULE_TYPES).join(', ')}`);
+        return;
+      }
+      try {
+        rules.push({ severity, message: rule.message || null, check: compileRule(rule) });
+      } catch (error) {
+        problems.push(`${label}: ${error.message}`);
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid validation rules ${this.source}:\n  - ${problems.join('\n  - ')}`);
+    }
+    return rules;
+  }
+
+  // Violations of every rule for one row, split by severity
+  check(row) {
+    const result = { errors: [], warnings: [] };
+    this.rules.forEach(rule => {
+      const problem = rule.check(row);
+      if (problem) {
+        (rule.severity === 'error' ? result.errors : result.warnings).push(rule.message || problem);
+      }
+    });
+    return result;
+  }
+}
+
+ValidationRules.DEFAULT_RULES_FILE = DEFAULT_RULES_FILE;
+
+module.exports = { ValidationRules };
@@ -0,0 +1,33 @@
+/**
+ * Bounded-concurrency worker pool
+ *
+ * Tasks are functions returning promises; a task is only invoked when one of the
+ * `concurrency` workers is free, so at most that many are ever in flight.
+ */
+
+async function runWithConcurrency(tasks, concurrency = 5) {
+  const results = new Array(tasks.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < tasks.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await tasks[index]() };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, tasks.length));
+  const workers = [];
+  for (let i = 0; i < workerCount; i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = { runWithConcurrency };
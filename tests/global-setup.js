@@ -0,0 +1,12 @@
+/**
+ * Jest global setup: one temporary root for the runtime data every test worker writes
+ * (tokens, jobs, checkpoints), removed again by global-teardown.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+module.exports = async () => {
+  process.env.HUBSPOT_TEST_DATA_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'hubspot-csv-test-'));
+};
@@ -0,0 +1,11 @@
+/**
+ * Jest global teardown: removes the runtime data root created by global-setup.js
+ */
+
+const fs = require('fs');
+
+module.exports = async () => {
+  if (process.env.HUBSPOT_TEST_DATA_ROOT) {
+    fs.rmSync(process.env.HUBSPOT_TEST_DATA_ROOT, { recursive: true, force: true });
+  }
+};
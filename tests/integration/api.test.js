@@ -39,105 +39,369 @@ describe('API Endpoints', () => {
     });
   });
 
-  describe('POST /api/process-csv', () => {
-    it('should process CSV data successfully', async () => {
-      // Mock the integration modules
-      const HighPerformanceIntegration = require('../../src/core/integration');
-      const mockProcessCsv = jest.fn().mockResolvedValue({
-        success: true,
-        processed: 2,
-        created: 1,
-        updated: 1,
-        errors: 0
-      });
-      
-      HighPerformanceIntegration.mockImplementation(() => ({
-        processCsv: mockProcessCsv
+  describe('OAuth flow', () => {
+    let mockExchange;
+    let mockSaveTokens;
+
+    beforeEach(() => {
+      const HighPerformanceOAuthClient = require('../../src/core/oauth-client');
+      mockExchange = jest.fn().mockResolvedValue({ access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 1800 });
+      mockSaveTokens = jest.fn().mockResolvedValue();
+
+      HighPerformanceOAuthClient.mockImplementation(() => ({
+        getAuthorizationUrl: state => `https://app.hubspot.com/oauth/authorize?state=${state}`,
+        exchangeAuthorizationCode: mockExchange,
+        saveTokens: mockSaveTokens
       }));
+    });
 
-      const csvData = 'user_id,email,user_type,active_sub,weekly_sub_count,monthly_sub_count,daily_sub_count\\nTEST1,test1@example.com,MP,TRUE,1,1,1';
+    async function authorize() {
+      const response = await request(app)
+        .get('/oauth/authorize')
+        .expect(302);
+      const state = new URL(response.headers.location).searchParams.get('state');
+      const cookie = response.headers['set-cookie'][0].split(';')[0];
+      return { state, cookie };
+    }
+
+    it('should redirect to HubSpot with a state parameter', async () => {
+      const { state, cookie } = await authorize();
+
+      expect(state).toMatch(/^[0-9a-f]{48}$/);
+      expect(cookie).toBe(`hubspot_oauth_state=${state}`);
+    });
+
+    it('should exchange the code and save tokens for a valid state', async () => {
+      const { state, cookie } = await authorize();
 
       const response = await request(app)
-        .post('/api/process-csv')
-        .send({ csvData })
+        .get(`/oauth/callback?code=auth-code&state=${state}`)
+        .set('Cookie', cookie)
         .expect(200);
 
-      expect(response.body).toEqual({
-        success: true,
-        message: 'CSV processed successfully',
-        stats: {
-          success: true,
-          processed: 2,
-          created: 1,
-          updated: 1,
-          errors: 0
-        }
-      });
+      expect(response.text).toContain('OAuth Authorization Successful');
+      expect(mockExchange).toHaveBeenCalledWith('auth-code');
+      expect(mockSaveTokens).toHaveBeenCalledWith(expect.objectContaining({ access_token: 'new-access' }));
+    });
+
+    it('should reject unknown or reused state values', async () => {
+      const { state, cookie } = await authorize();
+
+      await request(app)
+        .get(`/oauth/callback?code=auth-code&state=${state}`)
+        .set('Cookie', cookie)
+        .expect(200);
+      await request(app)
+        .get(`/oauth/callback?code=auth-code&state=${state}`)
+        .set('Cookie', cookie)
+        .expect(400);
+      await request(app)
+        .get('/oauth/callback?code=auth-code&state=forged')
+        .set('Cookie', 'hubspot_oauth_state=forged')
+        .expect(400);
 
-      expect(mockProcessCsv).toHaveBeenCalledWith(csvData);
+      expect(mockExchange).toHaveBeenCalledTimes(1);
     });
 
-    it('should handle missing csvData', async () => {
+    it('should escape the error query value', async () => {
       const response = await request(app)
-        .post('/api/process-csv')
-        .send({})
+        .get('/oauth/callback?error=<script>alert(1)</script>')
         .expect(400);
 
-      expect(response.body).toEqual({
-        success: false,
-        error: 'CSV data is required'
-      });
+      expect(response.text).not.toContain('<script>');
+      expect(response.text).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
     });
+  });
+
+  describe('CSV jobs', () => {
+    let mockProcessFile;
 
-    it('should handle processing errors', async () => {
+    // Run options the job queue passes, rejects going to the job's artifacts
+    const runOptions = (jobId, options) => ({
+      ...options,
+      rejectsFile: expect.stringMatching(new RegExp(`${jobId}-rejects\\.csv$`)),
+      warningsFile: expect.stringMatching(new RegExp(`${jobId}-warnings\\.csv$`))
+    });
+
+    beforeEach(() => {
       const HighPerformanceIntegration = require('../../src/core/integration');
-      const mockProcessCsv = jest.fn().mockRejectedValue(new Error('Processing failed'));
-      
-      HighPerformanceIntegration.mockImplementation(() => ({
-        processCsv: mockProcessCsv
+      mockProcessFile = jest.fn().mockResolvedValue({ rowsRead: 1, accountsCreated: 1, errors: 0 });
+
+      HighPerformanceIntegration.mockImplementation((client, processor, options) => ({
+        processCSVHighPerformance: async (filePath, runOptions) => {
+          options.onProgress({ phase: 'writing', rowsRead: 1 });
+          return mockProcessFile(require('fs').readFileSync(filePath, 'utf8'), runOptions);
+        }
       }));
+    });
 
-      const response = await request(app)
-        .post('/api/process-csv')
-        .send({ csvData: 'invalid,csv,data' })
-        .expect(500);
+    describe('POST /api/process-csv', () => {
+      it('should queue CSV data and return a job ID immediately', async () => {
+        const csvData = 'user_id,email,user_type,active_sub,weekly_sub_count,monthly_sub_count,daily_sub_count\\nTEST1,test1@example.com,MP,TRUE,1,1,1';
 
-      expect(response.body).toEqual({
-        success: false,
-        error: 'Processing failed'
+        const response = await request(app)
+          .post('/api/process-csv')
+          .send({ csvData })
+          .expect(202);
+
+        expect(response.body).toEqual({
+          success: true,
+          message: 'CSV accepted for processing',
+          jobId: expect.stringMatching(/^[0-9a-f-]{36}$/),
+          status: 'queued',
+          statusUrl: `/api/jobs/${response.body.jobId}`
+        });
+
+        await app.locals.jobQueue.onIdle();
+
+        const status = await request(app)
+          .get(`/api/jobs/${response.body.jobId}`)
+          .expect(200);
+
+        expect(status.body.job).toEqual(expect.objectContaining({
+          id: response.body.jobId,
+          status: 'completed',
+          phase: 'completed',
+          source: 'process-csv',
+          dryRun: false,
+          progress: { rowsRead: 1 },
+          stats: { rowsRead: 1, accountsCreated: 1, errors: 0, rowErrorCount: 0, rowWarningCount: 0, failedRecordCount: 0, conflictCount: 0 }
+        }));
+        // Escaped newlines from hand-written JSON bodies are turned into real line breaks
+        expect(mockProcessFile).toHaveBeenCalledWith(
+          'user_id,email,user_type,active_sub,weekly_sub_count,monthly_sub_count,daily_sub_count\nTEST1,test1@example.com,MP,TRUE,1,1,1',
+          runOptions(response.body.jobId, { dryRun: false, runId: response.body.jobId })
+        );
+      });
+
+      it('should queue a dry run when requested', async () => {
+        const response = await request(app)
+          .post('/api/process-csv')
+          .send({ csvData: 'user_id,email\\nTEST1,test1@example.com', dryRun: true })
+          .expect(202);
+
+        expect(response.body.message).toBe('Dry run queued - no changes will be written to HubSpot');
+        await app.locals.jobQueue.onIdle();
+        expect(mockProcessFile).toHaveBeenCalledWith(expect.any(String), runOptions(response.body.jobId, { dryRun: true }));
+      });
+
+      it('should handle missing csvData', async () => {
+        const response = await request(app)
+          .post('/api/process-csv')
+          .send({})
+          .expect(400);
+
+        expect(response.body).toEqual({
+          success: false,
+          error: 'CSV data is required'
+        });
+      });
+
+      it('should record processing errors on the job', async () => {
+        mockProcessFile.mockRejectedValue(new Error('Processing failed'));
+
+        const response = await request(app)
+          .post('/api/process-csv')
+          .send({ csvData: 'invalid,csv,data' })
+          .expect(202);
+
+        await app.locals.jobQueue.onIdle();
+
+        const status = await request(app)
+          .get(`/api/jobs/${response.body.jobId}`)
+          .expect(200);
+
+        expect(status.body.job).toEqual(expect.objectContaining({
+          status: 'failed',
+          error: 'Processing failed'
+        }));
       });
+
     });
-  });
 
-  describe('POST /api/upload-csv', () => {
-    it('should handle file upload and processing', async () => {
-      const HighPerformanceIntegration = require('../../src/core/integration');
-      const mockProcessCsv = jest.fn().mockResolvedValue({
-        success: true,
-        processed: 1
+    describe('GET /api/jobs/:id/rejects', () => {
+      it('should download the rows a finished job could not import', async () => {
+        mockProcessFile.mockResolvedValue({
+          rowsRead: 2,
+          errors: 1,
+          rowErrors: [{ rowNumber: 3, userId: 'U2', email: 'bad', phase: 'validation', objectType: null, reason: 'Invalid email format: bad' }],
+          rowWarnings: [{ rowNumber: 2, userId: 'U1', email: 'u1@example.com', phase: 'validation', objectType: null, reason: 'Unusually high count' }]
+        });
+
+        const { body: { jobId } } = await request(app)
+          .post('/api/process-csv')
+          .send({ csvData: 'user_id,email\nU1,u1@example.com\nU2,bad' })
+          .expect(202);
+        await app.locals.jobQueue.onIdle();
+
+        const csv = await request(app)
+          .get(`/api/jobs/${jobId}/rejects`)
+          .expect('Content-Type', /text\/csv/)
+          .expect(200);
+        expect(csv.headers['content-disposition']).toContain(`rejects-${jobId}.csv`);
+        expect(csv.text).toBe('row_number,user_id,email,phase,object_type,reason\n3,U2,bad,validation,,Invalid email format: bad\n');
+
+        const json = await request(app)
+          .get(`/api/jobs/${jobId}/rejects?format=json`)
+          .expect(200);
+        expect(json.body.rowErrors).toEqual([
+          { rowNumber: 3, userId: 'U2', email: 'bad', phase: 'validation', objectType: null, reason: 'Invalid email format: bad' }
+        ]);
+        const status = await request(app).get(`/api/jobs/${jobId}`).expect(200);
+        expect(status.body.job.stats).toEqual(expect.objectContaining({ rowErrorCount: 1, rowWarningCount: 1 }));
+        expect(status.body.job.stats).not.toHaveProperty('rowErrors');
+
+        const warnings = await request(app)
+          .get(`/api/jobs/${jobId}/rejects?severity=warning`)
+          .expect(200);
+        expect(warnings.headers['content-disposition']).toContain(`warnings-${jobId}.csv`);
+        expect(warnings.text).toContain('2,U1,u1@example.com,validation,,Unusually high count');
       });
-      
-      HighPerformanceIntegration.mockImplementation(() => ({
-        processCsv: mockProcessCsv
-      }));
 
-      const response = await request(app)
-        .post('/api/upload-csv')
-        .attach('csvFile', Buffer.from('user_id,email\\nTEST,test@example.com'), 'test.csv')
-        .expect(200);
+      it('should return 404 for unknown jobs', async () => {
+        await request(app)
+          .get('/api/jobs/00000000-0000-0000-0000-000000000000/rejects')
+          .expect(404);
+      });
+    });
+
+    describe('GET /api/jobs/:id/plan', () => {
+      it('should return the full plan of a finished dry run', async () => {
+        const plan = {
+          creates: { accounts: [{ user_id: 'A' }], contacts: [] },
+          summary: { accountsToCreate: 1 }
+        };
+        mockProcessFile.mockResolvedValue({ rowsRead: 1, dryRun: true, plan });
 
-      expect(response.body).toHaveProperty('success', true);
-      expect(response.body).toHaveProperty('message', 'File uploaded and processed successfully');
+        const { body: { jobId } } = await request(app)
+          .post('/api/process-csv?dryRun=true')
+          .send({ csvData: 'user_id,email\nA,a@example.com' })
+          .expect(202);
+        await app.locals.jobQueue.onIdle();
+
+        const response = await request(app)
+          .get(`/api/jobs/${jobId}/plan`)
+          .expect(200);
+        expect(response.body).toEqual({ success: true, jobId, plan });
+
+        const status = await request(app).get(`/api/jobs/${jobId}`).expect(200);
+        expect(status.body.job.stats).not.toHaveProperty('plan');
+        expect(status.body.job.stats.planSummary).toEqual({ accountsToCreate: 1 });
+      });
+
+      it('should only serve plans for dry runs', async () => {
+        const { body: { jobId } } = await request(app)
+          .post('/api/process-csv')
+          .send({ csvData: 'user_id,email\nA,a@example.com' })
+          .expect(202);
+        await app.locals.jobQueue.onIdle();
+
+        const response = await request(app)
+          .get(`/api/jobs/${jobId}/plan`)
+          .expect(409);
+        expect(response.body).toEqual({ success: false, error: 'Only dry runs have a plan' });
+      });
     });
 
-    it('should handle missing file', async () => {
-      const response = await request(app)
-        .post('/api/upload-csv')
-        .expect(400);
+    describe('POST /api/jobs/:id/resume', () => {
+      it('should resume a failed job from its checkpoint', async () => {
+        mockProcessFile.mockRejectedValueOnce(new Error('HubSpot daily API quota exhausted'));
 
-      expect(response.body).toEqual({
-        success: false,
-        error: 'No CSV file uploaded'
+        const { body: { jobId } } = await request(app)
+          .post('/api/process-csv')
+          .send({ csvData: 'user_id,email\nTEST1,test1@example.com' })
+          .expect(202);
+        await app.locals.jobQueue.onIdle();
+
+        const response = await request(app)
+          .post(`/api/jobs/${jobId}/resume`)
+          .expect(202);
+
+        expect(response.body).toEqual(expect.objectContaining({ jobId, status: 'queued', message: 'Job queued to resume from its checkpoint' }));
+        await app.locals.jobQueue.onIdle();
+
+        expect(mockProcessFile).toHaveBeenLastCalledWith(expect.any(String), runOptions(jobId, { dryRun: false, resume: jobId }));
+        const status = await request(app).get(`/api/jobs/${jobId}`).expect(200);
+        expect(status.body.job).toEqual(expect.objectContaining({ status: 'completed', resumeCount: 1, error: null }));
+      });
+
+      it('should only resume failed jobs', async () => {
+        const { body: { jobId } } = await request(app)
+          .post('/api/process-csv')
+          .send({ csvData: 'user_id,email\nTEST1,test1@example.com' })
+          .expect(202);
+        await app.locals.jobQueue.onIdle();
+
+        const response = await request(app)
+          .post(`/api/jobs/${jobId}/resume`)
+          .expect(409);
+
+        expect(response.body).toEqual({ success: false, error: 'Only failed jobs can be resumed (job is completed)' });
+      });
+
+      it('should return 404 for unknown jobs', async () => {
+        await request(app)
+          .post('/api/jobs/00000000-0000-0000-0000-000000000000/resume')
+          .expect(404);
+      });
+    });
+
+    describe('POST /api/upload-csv', () => {
+      it('should queue the uploaded file', async () => {
+        const response = await request(app)
+          .post('/api/upload-csv')
+          .attach('csvFile', Buffer.from('user_id,email\nTEST,test@example.com'), 'test.csv')
+          .expect(202);
+
+        expect(response.body).toHaveProperty('success', true);
+        expect(response.body).toHaveProperty('jobId');
+        await app.locals.jobQueue.onIdle();
+        expect(mockProcessFile).toHaveBeenCalledWith('user_id,email\nTEST,test@example.com', runOptions(response.body.jobId, { dryRun: false, runId: response.body.jobId }));
+      });
+
+      it('should accept dryRun as a query parameter', async () => {
+        const response = await request(app)
+          .post('/api/upload-csv?dryRun=true')
+          .attach('csvFile', Buffer.from('user_id,email\nTEST,test@example.com'), 'test.csv')
+          .expect(202);
+
+        await app.locals.jobQueue.onIdle();
+        expect(mockProcessFile).toHaveBeenCalledWith(expect.any(String), runOptions(response.body.jobId, { dryRun: true }));
+      });
+
+      it('should handle missing file', async () => {
+        const response = await request(app)
+          .post('/api/upload-csv')
+          .expect(400);
+
+        expect(response.body).toEqual({
+          success: false,
+          error: 'No CSV file uploaded'
+        });
+      });
+    });
+
+    describe('GET /api/jobs', () => {
+      it('should list recent jobs newest first with their stats summaries', async () => {
+        const first = await request(app).post('/api/process-csv').send({ csvData: 'user_id,email\nA,a@example.com' });
+        const second = await request(app).post('/api/process-csv').send({ csvData: 'user_id,email\nB,b@example.com' });
+        await app.locals.jobQueue.onIdle();
+
+        const response = await request(app)
+          .get('/api/jobs?limit=2')
+          .expect(200);
+
+        expect(response.body.jobs.map(job => job.id)).toEqual([second.body.jobId, first.body.jobId]);
+        expect(response.body.jobs[0].stats).toEqual(expect.objectContaining({ rowsRead: 1, rowErrorCount: 0 }));
+      });
+
+      it('should return 404 for unknown jobs', async () => {
+        await request(app)
+          .get('/api/jobs/00000000-0000-0000-0000-000000000000')
+          .expect(404);
+        await request(app)
+          .get('/api/jobs/..%2F..%2Fetc%2Fpasswd')
+          .expect(404);
       });
     });
   });
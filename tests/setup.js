@@ -2,8 +2,13 @@
  * Jest test setup configuration
  */
 
+const os = require('os');
+const path = require('path');
+
 // Set environment to test
 process.env.NODE_ENV = 'test';
+// One data directory per worker, under the root global-setup.js creates and global-teardown.js removes
+process.env.HUBSPOT_DATA_DIR = path.join(process.env.HUBSPOT_TEST_DATA_ROOT || os.tmpdir(), `hubspot-csv-test-${process.pid}`);
 process.env.LOG_LEVEL = 'error'; // Reduce log noise during tests
 
 // Mock environment variables
@@ -31,7 +36,8 @@ jest.mock('@hubspot/api-client', () => ({
         },
         batchApi: {
           create: jest.fn(),
-          update: jest.fn()
+          update: jest.fn(),
+          read: jest.fn()
         }
       },
       contacts: {
@@ -43,7 +49,13 @@ jest.mock('@hubspot/api-client', () => ({
           getPage: jest.fn()
         },
         batchApi: {
-          create: jest.fn()
+          create: jest.fn(),
+          update: jest.fn()
+        }
+      },
+      properties: {
+        coreApi: {
+          getAll: jest.fn()
         }
       },
       associations: {
@@ -51,6 +63,11 @@ jest.mock('@hubspot/api-client', () => ({
           basicApi: {
             create: jest.fn()
           },
+          batchApi: {
+            create: jest.fn(),
+            getPage: jest.fn(),
+            archiveLabels: jest.fn()
+          },
           schema: {
             definitionsApi: {
               getAll: jest.fn()
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for run checkpoints
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { CheckpointStore } = require('../../src/core/checkpoint-store');
+const { RowErrorLog } = require('../../src/core/row-errors');
+
+describe('CheckpointStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-test-'));
+    store = new CheckpointStore({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should persist window, batch and created-record progress', async () => {
+    const checkpoint = await store.create({ runId: 'run-1', inputFile: '/data/users.csv', windowSize: 100 });
+
+    await checkpoint.startWindow(0, { toCreate: [0, 1], toUpdate: [2] });
+    checkpoint.recordCreated('accounts', 'USER_1', '101');
+    checkpoint.recordAssociation('USER_1', 'user1@example.com');
+    await checkpoint.markBatchComplete('create:1', { accountsCreated: 1 });
+
+    const loaded = await store.load('run-1');
+    expect(loaded.data).toEqual(expect.objectContaining({ inputFile: '/data/users.csv', windowSize: 100, status: 'running' }));
+    expect(loaded.getResumableWindow(0)).toEqual(expect.objectContaining({ toCreate: [0, 1], toUpdate: [2] }));
+    expect(loaded.getResumableWindow(1)).toBeNull();
+    expect(loaded.isBatchComplete('create:1')).toBe(true);
+    expect(loaded.isBatchComplete('update:1')).toBe(false);
+    expect(loaded.getCreatedId('accounts', 'USER_1')).toBe('101');
+    expect(loaded.hasAssociation('USER_1', 'user1@example.com')).toBe(true);
+    expect(loaded.data.stats).toEqual({ accountsCreated: 1 });
+  });
+
+  it('should clear the window state once a window completes', async () => {
+    const checkpoint = await store.create({ runId: 'run-2', windowSize: 10 });
+    await checkpoint.startWindow(0, { toCreate: [], toUpdate: [] });
+    checkpoint.recordCreated('accounts', 'USER_1', '101');
+    checkpoint.recordAssociation('USER_1', 'user1@example.com');
+    await checkpoint.completeWindow(0, { rowsRead: 10 });
+    await checkpoint.finish('completed', { rowsRead: 10 });
+
+    const loaded = await store.load('run-2');
+    expect(loaded.data).toEqual(expect.objectContaining({ completedWindows: 1, window: null, status: 'completed' }));
+    expect(loaded.getCreatedId('accounts', 'USER_1')).toBeNull();
+    expect(loaded.hasAssociation('USER_1', 'user1@example.com')).toBe(false);
+  });
+
+  it('should flush attached logs and save their positions', async () => {
+    const checkpoint = await store.create({ runId: 'run-3', windowSize: 10 });
+    const rejects = await new RowErrorLog(path.join(directory, 'rejects.csv')).open();
+    checkpoint.attachLogs({ rejects });
+    rejects.append({ rowNumber: 2, userId: 'U1', email: null, phase: 'validation', objectType: null, reason: 'Missing email' });
+    await checkpoint.save();
+
+    const loaded = await store.load('run-3');
+    expect(loaded.getLogPosition('rejects')).toEqual({ file: rejects.filePath, size: fs.statSync(rejects.filePath).size, count: 1 });
+    expect(loaded.getLogPosition('warnings')).toBeNull();
+  });
+
+  it('should reject unknown and malformed run IDs', async () => {
+    await expect(store.load('missing')).rejects.toThrow('No checkpoint found for run missing');
+    await expect(store.load('../etc/passwd')).rejects.toThrow('Invalid run ID');
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for the RFC 4180 CSV parser
+ */
+
+const { Readable } = require('stream');
+const { CsvRowStream, parseCSVText, normalizeHeader } = require('../../src/core/csv-stream');
+
+async function collect(chunks, options) {
+  const rows = [];
+  const stream = Readable.from(chunks.map(chunk => Buffer.from(chunk))).pipe(new CsvRowStream(options));
+  for await (const row of stream) {
+    rows.push(row);
+  }
+  return rows;
+}
+
+describe('csv-stream', () => {
+  describe('parseCSVText', () => {
+    it('should keep delimiters and line breaks inside quoted fields', () => {
+      const rows = parseCSVText('user_id,company,email\nU1,"Acme, Inc.\nEU branch",a@example.com\n');
+
+      expect(rows).toEqual([
+        { user_id: 'U1', company: 'Acme, Inc.\nEU branch', email: 'a@example.com' }
+      ]);
+    });
+
+    it('should unescape doubled quotes', () => {
+      const rows = parseCSVText('user_id,company\nU1,"The ""Best"" Shop"');
+
+      expect(rows[0].company).toBe('The "Best" Shop');
+    });
+
+    it('should handle CRLF line endings and a leading BOM', () => {
+      const rows = parseCSVText('\uFEFFuser_id,email\r\nU1,a@example.com\r\nU2,b@example.com\r\n');
+
+      expect(rows).toEqual([
+        { user_id: 'U1', email: 'a@example.com' },
+        { user_id: 'U2', email: 'b@example.com' }
+      ]);
+    });
+
+    it('should number rows by the file line they start on', () => {
+      const rows = parseCSVText('user_id,company\r\nU1,"Acme\r\nEU branch"\n\nU2,Beta\nU3,Gamma');
+
+      expect(rows.map(row => row.rowNumber)).toEqual([2, 5, 6]);
+      expect(Object.keys(rows[0])).toEqual(['user_id', 'company']);
+    });
+
+    it('should support alternate delimiters', () => {
+      const rows = parseCSVText('user_id;email\nU1;a@example.com', { delimiter: ';' });
+
+      expect(rows).toEqual([{ user_id: 'U1', email: 'a@example.com' }]);
+    });
+
+    it('should normalise headers and fill missing trailing fields', () => {
+      const rows = parseCSVText(' User ID ,"Email"\nU1\n\n');
+
+      expect(rows).toEqual([{ user_id: 'U1', email: '' }]);
+    });
+
+    it('should reject unterminated quoted fields', () => {
+      expect(() => parseCSVText('user_id,company\nU1,"Acme')).toThrow('Unterminated quoted field');
+    });
+  });
+
+  describe('normalizeHeader', () => {
+    it('should trim, lowercase and underscore header names', () => {
+      expect(normalizeHeader('  Weekly Sub Count ')).toBe('weekly_sub_count');
+    });
+  });
+
+  describe('CsvRowStream', () => {
+    it('should parse records split across chunk boundaries', async () => {
+      const rows = await collect(['user_id,comp', 'any\r', '\nU1,"Acme', ' ""X"", Inc"', '\r\nU2,', 'Beta']);
+
+      expect(rows).toEqual([
+        { user_id: 'U1', company: 'Acme "X", Inc' },
+        { user_id: 'U2', company: 'Beta' }
+      ]);
+      expect(rows.map(row => row.rowNumber)).toEqual([2, 3]);
+    });
+
+    it('should decode multi-byte characters split across chunks', async () => {
+      const bytes = Buffer.from('user_id,company\nU1,Müller GmbH');
+      const splitAt = bytes.indexOf(0xc3) + 1;
+      const rows = [];
+      const stream = Readable.from([bytes.subarray(0, splitAt), bytes.subarray(splitAt)]).pipe(new CsvRowStream());
+      for await (const row of stream) {
+        rows.push(row);
+      }
+
+      expect(rows[0].company).toBe('Müller GmbH');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for duplicate resolution within one CSV
+ */
+
+const HighPerformanceProcessor = require('../../src/core/processor');
+
+describe('Deduplicator', () => {
+  const header = '_id,email,user_id,user_type,active_sub,total_sub_count,weekly_sub_count,monthly_sub_count,daily_sub_count';
+
+  function dedupe(lines, strategy) {
+    const processor = new HighPerformanceProcessor({ dedupeStrategy: strategy });
+    return processor.dedupeRecords(processor.parseCSVString([header, ...lines].join('\n')));
+  }
+
+  const keptRows = result => result.records.map(row => row.rowNumber);
+
+  const conflictingRows = [
+    '1,user1@example.com,USER_1,MP,TRUE,3,3,0,0',
+    '2,user2@example.com,USER_2,MP,TRUE,1,1,0,0',
+    '3,user1@example.com,USER_1,MP,TRUE,1,1,0,0'
+  ];
+
+  it('should keep the last row of a conflicting user_id by default', () => {
+    const result = dedupe(conflictingRows);
+
+    expect(keptRows(result)).toEqual([3, 4]);
+    expect(result.dropped.map(({ row, reason }) => [row.rowNumber, reason])).toEqual([
+      [2, 'Duplicate user_id USER_1 (rows 2, 4): row 4 kept - last row wins']
+    ]);
+    expect(result.conflicts).toEqual([expect.objectContaining({ type: 'user_id', key: 'USER_1', rows: [2, 4], keptRow: 4, strategy: 'last-wins' })]);
+  });
+
+  it('should keep the row with the highest subscription counts', () => {
+    expect(keptRows(dedupe(conflictingRows, 'highest-counts'))).toEqual([2, 3]);
+  });
+
+  it('should drop every row of a conflict when rejecting', () => {
+    const result = dedupe(conflictingRows, 'reject');
+
+    expect(keptRows(result)).toEqual([3]);
+    expect(result.dropped.map(({ reason }) => reason)).toEqual([
+      'Duplicate user_id USER_1 (rows 2, 4): no row kept - all rows rejected',
+      'Duplicate user_id USER_1 (rows 2, 4): no row kept - all rows rejected'
+    ]);
+  });
+
+  it('should resolve one email shared by several user_ids, ignoring case and whitespace', () => {
+    const result = dedupe([
+      '1,Shared@Example.com,USER_1,MP,TRUE,1,1,0,0',
+      '2, shared@example.com ,USER_2,MP,TRUE,1,1,0,0'
+    ]);
+
+    expect(keptRows(result)).toEqual([3]);
+    expect(result.conflicts).toEqual([expect.objectContaining({ type: 'email', key: 'shared@example.com', rows: [2, 3], keptRow: 3 })]);
+  });
+
+  it('should drop identical repeats without reporting a conflict', () => {
+    const result = dedupe([
+      '1,user1@example.com,USER_1,MP,TRUE,1,1,0,0',
+      '1,USER1@example.com,USER_1,MP,TRUE,1,1,0,0'
+    ], 'reject');
+
+    expect(keptRows(result)).toEqual([3]);
+    expect(result.dropped).toEqual([{ row: expect.any(Object), reason: null }]);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('should not flag an email that only a superseded row shared', () => {
+    const result = dedupe([
+      '1,shared@example.com,USER_1,MP,TRUE,1,1,0,0',
+      '2,shared@example.com,USER_2,MP,TRUE,1,1,0,0',
+      '1,new@example.com,USER_1,MP,TRUE,1,1,0,0'
+    ]);
+
+    expect(keptRows(result)).toEqual([3, 4]);
+    expect(result.conflicts.map(conflict => conflict.type)).toEqual(['user_id']);
+  });
+
+  it('should keep only dropped rows and fully dropped user_ids once resolved', () => {
+    const processor = new HighPerformanceProcessor({ dedupeStrategy: 'reject' });
+    const deduplicator = processor.createDeduplicator();
+    processor.parseCSVString([header, ...conflictingRows].join('\n')).forEach(row => deduplicator.add(row));
+
+    deduplicator.resolve();
+
+    expect(deduplicator.byUser.size).toBe(0);
+    expect([...deduplicator.dropped.keys()]).toEqual([2, 4]);
+    expect(deduplicator.hasDroppedUser('USER_1')).toBe(true);
+    expect(deduplicator.hasDroppedUser('USER_2')).toBe(false);
+  });
+
+  it('should reject an unknown strategy', () => {
+    expect(() => new HighPerformanceProcessor({ dedupeStrategy: 'first-wins' })).toThrow('Invalid HUBSPOT_DEDUPE_STRATEGY "first-wins"');
+  });
+});
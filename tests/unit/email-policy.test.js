@@ -0,0 +1,66 @@
+/**
+ * Unit tests for email normalisation and the email validation policy
+ */
+
+const { EmailPolicy, normalizeEmail } = require('../../src/core/email-policy');
+const HighPerformanceProcessor = require('../../src/core/processor');
+
+describe('normalizeEmail', () => {
+  it('should trim, lowercase and compose addresses', () => {
+    expect(normalizeEmail('  John@X.com ')).toBe('john@x.com');
+    expect(normalizeEmail('José@example.com')).toBe('josé@example.com');
+  });
+
+  it('should convert internationalised domains to ASCII', () => {
+    expect(normalizeEmail('user@Bücher.de')).toBe('user@xn--bcher-kva.de');
+  });
+
+  it('should only drop Gmail dots and plus tags when asked', () => {
+    expect(normalizeEmail('J.Doe+news@googlemail.com')).toBe('j.doe+news@googlemail.com');
+    expect(normalizeEmail('J.Doe+news@googlemail.com', { gmailCanonical: true })).toBe('jdoe@gmail.com');
+    expect(normalizeEmail('j.doe+news@example.com', { gmailCanonical: true })).toBe('j.doe+news@example.com');
+  });
+});
+
+describe('EmailPolicy', () => {
+  const definition = {
+    typoDomains: { 'gmial.com': 'gmail.com' },
+    disposableDomains: ['mailinator.com']
+  };
+
+  it('should reject malformed addresses', () => {
+    const policy = new EmailPolicy(definition);
+    ['plainaddress', 'a..b@example.com', 'user@-example.com', 'user@example', 'user@example.c0m', `${'a'.repeat(65)}@example.com`]
+      .forEach(email => expect(policy.getErrors(email)).toEqual([`Invalid email format: ${email}`]));
+    expect(policy.getErrors('user.name+tag@sub.domain.co.uk')).toEqual([]);
+    expect(policy.getErrors('user@bücher.de')).toEqual([]);
+  });
+
+  it('should reject typo and disposable domains, including subdomains', () => {
+    const policy = new EmailPolicy(definition);
+    expect(policy.getErrors('a@gmial.com')).toEqual(['Likely typo in email domain: a@gmial.com (did you mean gmail.com?)']);
+    expect(policy.getErrors('a@eu.mailinator.com')).toEqual(['Disposable email domain: eu.mailinator.com']);
+  });
+
+  it('should match typos as the intended domain before applying the Gmail rule, or ignore them', () => {
+    const correcting = new EmailPolicy({ ...definition, onTypo: 'correct', gmailCanonical: true });
+    expect(correcting.matchKey('J.Doe@Gmial.com')).toBe('jdoe@gmail.com');
+    expect(correcting.normalize('J.Doe@Gmial.com')).toBe('j.doe@gmial.com');
+    expect(correcting.getErrors('j.doe@gmial.com')).toEqual([]);
+
+    const lenient = new EmailPolicy({ ...definition, onTypo: 'ignore', onDisposable: 'ignore' });
+    expect(lenient.getErrors('a@gmial.com')).toEqual([]);
+    expect(lenient.getErrors('a@mailinator.com')).toEqual([]);
+  });
+
+  it('should reject unknown actions', () => {
+    expect(() => new EmailPolicy({ onTypo: 'warn' })).toThrow('"onTypo" must be one of reject, correct, ignore');
+  });
+
+  it('should keep the normalised email and only match on the canonical form', () => {
+    const processor = new HighPerformanceProcessor({ emailPolicy: new EmailPolicy({ gmailCanonical: true }) });
+    expect(processor.mapContactFields({ email: ' J.Doe+crm@Gmail.com ', user_type: 'MP' })).toEqual({ email: 'j.doe+crm@gmail.com', user_type: 'MP' });
+    expect(processor.getContactMatchKey('j.doe+crm@gmail.com')).toBe('jdoe@gmail.com');
+    expect(processor.describeForDedupe({ user_id: 'U1', email: 'J.Doe+crm@Gmail.com', user_type: 'MP' }).email).toBe('jdoe@gmail.com');
+  });
+});
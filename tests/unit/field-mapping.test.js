@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the declarative field mapping
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const FieldMapping = require('../../src/core/field-mapping');
+const HighPerformanceProcessor = require('../../src/core/processor');
+
+describe('FieldMapping', () => {
+  const definition = {
+    lookups: { tier: { G: 'gold', S: 'silver' } },
+    fields: [
+      { source: 'user_id', object: 'accounts', property: 'id', type: 'string', required: true, key: true },
+      { source: 'tier', object: 'accounts', property: 'tier', type: 'enum', lookup: 'tier', options: ['gold', 'silver'] },
+      { source: 'seats', object: 'accounts', property: 'seats', type: 'number', default: 0 },
+      { source: 'vip', object: 'accounts', property: 'vip', type: 'boolean', format: 'string', onUpdate: 'whenTrue' },
+      { source: 'signup', object: 'accounts', property: 'signup_date', type: 'date' },
+      { source: 'email', object: 'contacts', property: 'email', type: 'string', required: true, key: true },
+      { source: 'plan', object: 'contacts', property: 'plan', type: 'string', onUpdate: 'never' }
+    ]
+  };
+  let mapping;
+
+  beforeEach(() => {
+    mapping = new FieldMapping(definition);
+  });
+
+  describe('mapRow', () => {
+    it('should coerce values by type and apply lookups', () => {
+      const row = { user_id: 'U1', tier: 'G', seats: '12', vip: 'TRUE', signup: '2024-03-05T10:00:00Z' };
+
+      expect(mapping.mapRow(row, 'accounts')).toEqual({
+        id: 'U1',
+        tier: 'gold',
+        seats: 12,
+        vip: 'true',
+        signup_date: '2024-03-05'
+      });
+    });
+
+    it('should fall back to defaults for empty or invalid values', () => {
+      const row = { user_id: 'U1', tier: 'X', seats: 'many', signup: 'not a date' };
+
+      expect(mapping.mapRow(row, 'accounts')).toEqual({ id: 'U1', seats: 0 });
+    });
+
+    it('should return null when the key property is missing', () => {
+      expect(mapping.mapRow({ user_id: ' ', seats: '1' }, 'accounts')).toBeNull();
+    });
+  });
+
+  describe('filterForUpdate', () => {
+    it('should drop properties that must not overwrite existing records', () => {
+      expect(mapping.filterForUpdate('accounts', { id: 'U1', vip: 'false' })).toEqual({ id: 'U1' });
+      expect(mapping.filterForUpdate('accounts', { id: 'U1', vip: 'true' })).toEqual({ id: 'U1', vip: 'true' });
+      expect(mapping.filterForUpdate('contacts', { email: 'a@b.com', plan: 'pro' })).toEqual({ email: 'a@b.com' });
+    });
+  });
+
+  it('should list required columns and mapped properties', () => {
+    expect(mapping.getRequiredColumns()).toEqual(['user_id', 'email']);
+    expect(mapping.getProperties('contacts')).toEqual(['email', 'plan']);
+    expect(mapping.getKeyField('accounts').source).toBe('user_id');
+  });
+
+  it('should reject invalid mappings with every problem listed', () => {
+    expect(() => new FieldMapping({
+      fields: [
+        { source: 'user_id', object: 'deals', property: 'id', type: 'string', key: true },
+        { source: 'kind', object: 'accounts', property: 'kind', type: 'enum', lookup: 'missing' }
+      ]
+    })).toThrow(/"object" must be one of[\s\S]*unknown lookup "missing"[\s\S]*key field is required for accounts/);
+  });
+
+  it('should load YAML mapping files', () => {
+    const filePath = path.join(os.tmpdir(), `field-mapping-test-${process.pid}.yaml`);
+    fs.writeFileSync(filePath, [
+      'fields:',
+      '  - { source: account, object: accounts, property: id, type: string, key: true }',
+      '  - { source: mail, object: contacts, property: email, type: string, key: true, required: true }'
+    ].join('\n'));
+
+    try {
+      const loaded = FieldMapping.load(filePath);
+      expect(loaded.getRequiredColumns()).toEqual(['mail']);
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  it('should drive the processor from a custom mapping', () => {
+    const processor = new HighPerformanceProcessor({ fieldMapping: mapping });
+    const row = { user_id: 'U1', email: 'a@b.com', tier: 'S', vip: '1', plan: 'pro' };
+
+    expect(processor.validateRow({ user_id: 'U1' })).toBe(false);
+    expect(processor.validateRow(row)).toBe(true);
+    expect(processor.mapAccountFields(row)).toEqual({ id: 'U1', tier: 'silver', seats: 0, vip: 'true' });
+    expect(processor.mapContactFields(row)).toEqual({ email: 'a@b.com', plan: 'pro' });
+  });
+});
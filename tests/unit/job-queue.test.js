@@ -0,0 +1,243 @@
+/**
+ * Unit tests for the background job queue and its file-backed store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const JobQueue = require('../../src/core/job-queue');
+const { FileJobStore } = require('../../src/core/job-store');
+
+describe('JobQueue', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+    store = new FileJobStore({ directory });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function createQueue(processFile) {
+    return new JobQueue({
+      store,
+      createIntegration: onProgress => ({
+        processCSVHighPerformance: (filePath, options) => processFile(filePath, options, onProgress)
+      })
+    });
+  }
+
+  it('should run queued jobs and record progress and final stats', async () => {
+    const queue = createQueue(async (filePath, options, onProgress) => {
+      onProgress({ phase: 'lookup', rowsRead: 0 });
+      onProgress({ phase: 'writing', rowsRead: 2 });
+      return { rowsRead: fs.readFileSync(filePath, 'utf8').split('\n').length - 1, dryRun: options.dryRun };
+    });
+
+    const job = await queue.enqueue({ csvData: 'user_id,email\nA,a@b.com\nB,b@b.com', source: 'test' });
+    expect(job.status).toBe('queued');
+
+    await queue.onIdle();
+    const finished = await queue.getJob(job.id);
+
+    expect(finished).toEqual(expect.objectContaining({
+      status: 'completed',
+      phase: 'completed',
+      progress: { rowsRead: 2 },
+      stats: { rowsRead: 2, dryRun: false, rowErrorCount: 0, rowWarningCount: 0, failedRecordCount: 0, conflictCount: 0 }
+    }));
+    expect(finished.finishedAt).toEqual(expect.any(String));
+    expect(fs.existsSync(store.inputPath(job.id))).toBe(false);
+  });
+
+  it('should keep row results as artifacts and only a summary in the job record', async () => {
+    const rowError = { rowNumber: 2, userId: 'A', email: 'a@b.com', phase: 'create', objectType: 'contact', reason: 'Property values were not valid' };
+    const plan = { creates: { accounts: [{ user_id: 'A' }], contacts: [] }, summary: { accountsToCreate: 1 } };
+    const queue = createQueue(async () => ({
+      rowsRead: 1,
+      rowErrors: [rowError],
+      rowWarnings: [],
+      failedRecords: [{ type: 'contact', error: 'Property values were not valid' }],
+      conflicts: [],
+      plan
+    }));
+
+    const job = await queue.enqueue({ csvData: 'user_id,email\nA,a@b.com', source: 'test', dryRun: true });
+    await queue.onIdle();
+
+    expect((await queue.getJob(job.id)).stats).toEqual({
+      rowsRead: 1,
+      planSummary: { accountsToCreate: 1 },
+      rowErrorCount: 1,
+      rowWarningCount: 0,
+      failedRecordCount: 1,
+      conflictCount: 0
+    });
+    expect(await queue.readRejects(job.id)).toContain('2,A,a@b.com,create,contact,Property values were not valid');
+    expect(await queue.readRejects(job.id, { warnings: true })).toBe('row_number,user_id,email,phase,object_type,reason\n');
+    expect(await queue.readPlan(job.id)).toEqual(plan);
+  });
+
+  it('should run one job at a time by default', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const queue = createQueue(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return {};
+    });
+
+    await Promise.all([1, 2, 3].map(n => queue.enqueue({ csvData: `user_id\n${n}`, source: 'test' })));
+    await queue.onIdle();
+
+    expect(maxActive).toBe(1);
+    expect((await queue.listJobs()).map(job => job.status)).toEqual(['completed', 'completed', 'completed']);
+  });
+
+  it('should mark failed jobs and keep their input', async () => {
+    const queue = createQueue(async () => {
+      throw new Error('HubSpot unavailable');
+    });
+
+    const job = await queue.enqueue({ csvData: 'user_id\n1', source: 'test' });
+    await queue.onIdle();
+
+    expect(await queue.getJob(job.id)).toEqual(expect.objectContaining({ status: 'failed', error: 'HubSpot unavailable' }));
+    expect(fs.existsSync(store.inputPath(job.id))).toBe(true);
+  });
+
+  it('should keep partial row results of failed jobs', async () => {
+    const rowError = { rowNumber: 2, userId: '1', email: null, phase: 'validation', objectType: null, reason: 'Missing required field email' };
+    const queue = new JobQueue({
+      store,
+      createIntegration: () => ({
+        stats: { rowsRead: 1, rowErrors: [rowError] },
+        processCSVHighPerformance: async () => {
+          throw new Error('HubSpot unavailable');
+        }
+      })
+    });
+
+    const job = await queue.enqueue({ csvData: 'user_id\n1', source: 'test' });
+    await queue.onIdle();
+
+    expect((await queue.getJob(job.id)).stats).toEqual(expect.objectContaining({ rowsRead: 1, rowErrorCount: 1 }));
+    expect(await queue.readRejects(job.id)).toContain('Missing required field email');
+  });
+
+  it('should resume a job that failed the HubSpot preflight', async () => {
+    const HighPerformanceIntegration = require('../../src/core/integration');
+    const HighPerformanceProcessor = require('../../src/core/processor');
+    const { CheckpointStore } = require('../../src/core/checkpoint-store');
+    const checkpointStore = new CheckpointStore({ directory: path.join(directory, 'checkpoints') });
+    const client = {
+      resolveAssociationTypes: jest.fn().mockResolvedValue({}),
+      verifySchema: jest.fn()
+        .mockRejectedValueOnce(new Error('HubSpot schema does not match the field mapping'))
+        .mockResolvedValue({ checked: 9 }),
+      batchSearchAccounts: jest.fn().mockResolvedValue([]),
+      batchSearchContacts: jest.fn().mockResolvedValue([]),
+      batchCreateAccounts: jest.fn().mockResolvedValue([]),
+      batchCreateContacts: jest.fn().mockResolvedValue([]),
+      batchCreateAssociations: jest.fn().mockResolvedValue([]),
+      identifyDeactivations: jest.fn().mockResolvedValue([])
+    };
+    const queue = new JobQueue({
+      store,
+      createIntegration: onProgress => new HighPerformanceIntegration(client, new HighPerformanceProcessor(), { onProgress, checkpointStore })
+    });
+
+    const job = await queue.enqueue({ csvData: 'user_id,email,user_type,active_sub\nU1,u1@example.com,MP,TRUE', source: 'test' });
+    await queue.onIdle();
+    expect(await queue.getJob(job.id)).toEqual(expect.objectContaining({ status: 'failed', error: 'HubSpot schema does not match the field mapping' }));
+
+    await queue.resume(job.id);
+    await queue.onIdle();
+    expect(await queue.getJob(job.id)).toEqual(expect.objectContaining({ status: 'completed', resumeCount: 1 }));
+    expect(client.batchCreateAccounts).toHaveBeenCalledTimes(1);
+  });
+
+  it('should recover queued and interrupted jobs after a restart', async () => {
+    const queued = await store.create({ source: 'test' });
+    await store.saveInput(queued.id, 'user_id\n1');
+    const interrupted = await store.create({ source: 'test', status: 'running' });
+
+    const processFile = jest.fn().mockResolvedValue({ rowsRead: 1 });
+    const queue = createQueue(processFile);
+    await queue.recover();
+    await queue.onIdle();
+
+    expect(processFile).toHaveBeenCalledWith(store.inputPath(queued.id), {
+      dryRun: false,
+      runId: queued.id,
+      rejectsFile: store.artifactPath(queued.id, 'rejects.csv'),
+      warningsFile: store.artifactPath(queued.id, 'warnings.csv')
+    }, expect.any(Function));
+    expect((await queue.getJob(queued.id)).status).toBe('completed');
+    expect(await queue.getJob(interrupted.id)).toEqual(expect.objectContaining({
+      status: 'failed',
+      phase: 'interrupted',
+      error: expect.stringContaining('Interrupted by a server restart')
+    }));
+  });
+});
+
+describe('FileJobStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function age(store, id, days) {
+    const time = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    fs.utimesSync(store.jobPath(id), time, time);
+  }
+
+  it('should list the newest jobs first, reading only as many as requested', async () => {
+    const store = new FileJobStore({ directory });
+    const jobs = [];
+    for (let i = 0; i < 5; i++) {
+      jobs.push(await store.create({ source: `test-${i}` }));
+    }
+    const get = jest.spyOn(store, 'get');
+
+    const listed = await store.list({ limit: 2 });
+
+    expect(listed.map(job => job.source)).toEqual(['test-4', 'test-3']);
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+
+  it('should prune finished jobs past retention with their input and artifacts', async () => {
+    const store = new FileJobStore({ directory, retentionDays: 30 });
+    const old = await store.create({ status: 'completed' });
+    await store.saveInput(old.id, 'user_id\n1');
+    await store.saveArtifact(old.id, 'rejects.csv', 'row_number\n');
+    const oldQueued = await store.create({ status: 'queued' });
+    const recent = await store.create({ status: 'failed' });
+    age(store, old.id, 31);
+    age(store, oldQueued.id, 31);
+
+    expect(await store.prune()).toEqual([old.id]);
+    expect(fs.readdirSync(directory).filter(name => name.startsWith(old.id))).toEqual([]);
+    expect((await store.list()).map(job => job.id)).toEqual([recent.id, oldQueued.id]);
+  });
+
+  it('should keep every job when retention is 0', async () => {
+    const store = new FileJobStore({ directory, retentionDays: 0 });
+    const job = await store.create({ status: 'completed' });
+    age(store, job.id, 365);
+
+    expect(await store.prune()).toEqual([]);
+    expect(await store.get(job.id)).not.toBeNull();
+  });
+});
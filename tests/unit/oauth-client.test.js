@@ -7,12 +7,34 @@ const { mockTokenResponse, mockAccountSearchResponse, mockContactSearchResponse,
 
 // Mock fs module
 jest.mock('fs', () => ({
+  readFileSync: jest.requireActual('fs').readFileSync,
   promises: {
     readFile: jest.fn(),
-    writeFile: jest.fn()
+    writeFile: jest.fn(),
+    rename: jest.fn(),
+    mkdir: jest.fn(),
+    unlink: jest.fn(),
+    open: jest.fn(() => Promise.resolve({ writeFile: jest.fn(), sync: jest.fn(), close: jest.fn() }))
   }
 }));
 
+// Temporary files writeFileAtomic opened, with the data written and whether it was flushed
+async function getTempFileWrites() {
+  const { open } = require('fs').promises;
+  const handles = await Promise.all(open.mock.results.map(result => result.value));
+  return open.mock.calls
+    .map(([filePath, , mode], index) => ({ filePath, mode, handle: handles[index] }))
+    .filter(write => write.filePath.endsWith('.tmp'))
+    .map(({ filePath, mode, handle }) => ({
+      filePath,
+      mode,
+      data: handle.writeFile.mock.calls[0][0],
+      synced: handle.sync.mock.calls.length > 0
+    }));
+}
+
+const notFound = () => Object.assign(new Error('File not found'), { code: 'ENOENT' });
+
 describe('HighPerformanceOAuthClient', () => {
   let client;
 
@@ -46,6 +68,168 @@ describe('HighPerformanceOAuthClient', () => {
     });
   });
 
+  describe('authentication providers', () => {
+    afterEach(() => {
+      delete process.env.HUBSPOT_ACCESS_TOKEN;
+      delete process.env.HUBSPOT_AUTH_MODE;
+    });
+
+    it('should use the OAuth token file by default', () => {
+      expect(client.authProvider.type).toBe('oauth');
+    });
+
+    it('should select the private app provider when HUBSPOT_ACCESS_TOKEN is set', async () => {
+      process.env.HUBSPOT_ACCESS_TOKEN = 'pat-na1-test';
+      const privateAppClient = new HighPerformanceOAuthClient();
+
+      expect(privateAppClient.authProvider.type).toBe('private-app');
+      await expect(privateAppClient.isAuthenticated()).resolves.toBe(true);
+      expect(require('fs').promises.readFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject an explicit private-app mode without a token', () => {
+      process.env.HUBSPOT_AUTH_MODE = 'private-app';
+
+      expect(() => new HighPerformanceOAuthClient()).toThrow('HUBSPOT_ACCESS_TOKEN is not set');
+    });
+
+    it('should surface a clear error when a private app token is rejected', async () => {
+      const privateAppClient = new HighPerformanceOAuthClient({ accessToken: 'pat-na1-revoked', maxRetries: 0 });
+      const unauthorized = Object.assign(new Error('HTTP 401'), { code: 401 });
+
+      await expect(privateAppClient.callApi(() => Promise.reject(unauthorized)))
+        .rejects.toThrow('Private app tokens cannot be refreshed');
+    });
+
+    it('should report unauthenticated when no OAuth tokens are stored', async () => {
+      const fs = require('fs');
+      fs.promises.readFile.mockRejectedValue(notFound());
+
+      await expect(client.isAuthenticated()).resolves.toBe(false);
+    });
+  });
+
+  describe('token expiry and refresh', () => {
+    const originalFetch = global.fetch;
+
+    beforeEach(() => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ access_token: 'refreshed-access', refresh_token: 'rotated-refresh', expires_in: 1800 })
+      });
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should share one in-flight refresh between concurrent callers', async () => {
+      await client.saveTokens({ access_token: 'old-access', refresh_token: 'old-refresh' });
+
+      await Promise.all([client.refreshAccessToken(), client.refreshAccessToken(), client.refreshAccessToken()]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(client.tokens.access_token).toBe('refreshed-access');
+    });
+
+    it('should persist a rotated refresh token with an absolute expiry', async () => {
+      await client.saveTokens({ access_token: 'old-access', refresh_token: 'old-refresh' });
+      const before = Date.now();
+
+      await client.refreshAccessToken();
+
+      expect(client.tokens.refresh_token).toBe('rotated-refresh');
+      expect(client.tokens.issued_at).toBeGreaterThanOrEqual(before);
+      expect(client.tokens.expires_at).toBe(client.tokens.issued_at + 1800 * 1000);
+      const saved = JSON.parse((await getTempFileWrites()).pop().data);
+      expect(saved.refresh_token).toBe('rotated-refresh');
+    });
+
+    it('should refresh ahead of expiry in ensureValidToken', async () => {
+      await client.saveTokens({ access_token: 'old-access', refresh_token: 'old-refresh', expires_at: Date.now() + 60 * 1000 });
+
+      await client.ensureValidToken();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(client.tokens.access_token).toBe('refreshed-access');
+    });
+
+    it('should not refresh a token that is still well within its lifetime', async () => {
+      await client.saveTokens({ access_token: 'old-access', refresh_token: 'old-refresh', expires_at: Date.now() + 60 * 60 * 1000 });
+
+      await client.ensureValidToken();
+
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should stamp exchanged authorization-code tokens with an expiry', async () => {
+      const tokens = await client.exchangeAuthorizationCode('auth-code');
+
+      expect(tokens.expires_at).toBe(tokens.issued_at + 1800 * 1000);
+      expect(global.fetch.mock.calls[0][1].body).toContain('grant_type=authorization_code');
+    });
+  });
+
+  describe('callApi', () => {
+    beforeEach(() => {
+      client = new HighPerformanceOAuthClient({ maxRetries: 2, retryBaseDelayMs: 1 });
+    });
+
+    function apiError(code, headers = {}, body = {}) {
+      return Object.assign(new Error(`HTTP ${code}`), { code, headers, body });
+    }
+
+    it('should retry rate-limited requests honouring Retry-After', async () => {
+      const apiCall = jest.fn()
+        .mockRejectedValueOnce(apiError(429, { 'retry-after': '0' }))
+        .mockResolvedValueOnce({ results: [] });
+
+      await expect(client.callApi(apiCall)).resolves.toEqual({ results: [] });
+
+      expect(apiCall).toHaveBeenCalledTimes(2);
+      expect(client.getRequestStats()).toMatchObject({ retries: 1, rateLimited: 1 });
+    });
+
+    it('should give up on transient errors after maxRetries', async () => {
+      const apiCall = jest.fn().mockRejectedValue(apiError(503));
+
+      await expect(client.callApi(apiCall)).rejects.toThrow('HTTP 503');
+
+      expect(apiCall).toHaveBeenCalledTimes(3);
+      expect(client.getRequestStats()).toMatchObject({ retries: 2, failedAfterRetries: 1 });
+    });
+
+    it('should not retry client errors or exhausted daily quotas', async () => {
+      const badRequest = jest.fn().mockRejectedValue(apiError(400));
+      const dailyLimit = jest.fn().mockRejectedValue(apiError(429, {}, { policyName: 'DAILY' }));
+
+      await expect(client.callApi(badRequest)).rejects.toThrow('HTTP 400');
+      await expect(client.callApi(dailyLimit)).rejects.toThrow('HTTP 429');
+
+      expect(badRequest).toHaveBeenCalledTimes(1);
+      expect(dailyLimit).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refresh the token once on 401', async () => {
+      client.refreshAccessToken = jest.fn().mockResolvedValue();
+      const apiCall = jest.fn().mockRejectedValue(apiError(401));
+
+      await expect(client.callApi(apiCall)).rejects.toThrow('HTTP 401');
+
+      expect(client.refreshAccessToken).toHaveBeenCalledTimes(1);
+      expect(apiCall).toHaveBeenCalledTimes(2);
+    });
+
+    it('should wait for the HubSpot rate-limit window when no Retry-After is sent', () => {
+      const error = apiError(429, {
+        'X-HubSpot-RateLimit-Remaining': '0',
+        'X-HubSpot-RateLimit-Interval-Milliseconds': '10000'
+      });
+
+      expect(client.getRetryDelay(error, 0)).toBe(10000);
+    });
+  });
+
   describe('loadTokens', () => {
     it('should load tokens from file successfully', async () => {
       const fs = require('fs');
@@ -62,7 +246,7 @@ describe('HighPerformanceOAuthClient', () => {
 
     it('should return null when token file does not exist', async () => {
       const fs = require('fs');
-      fs.promises.readFile.mockRejectedValue(new Error('File not found'));
+      fs.promises.readFile.mockRejectedValue(notFound());
 
       const tokens = await client.loadTokens();
 
@@ -72,17 +256,25 @@ describe('HighPerformanceOAuthClient', () => {
 
   describe('saveTokens', () => {
     it('should save tokens to file', async () => {
+      await client.saveTokens(mockTokenResponse);
+
+      expect(client.tokens).toEqual(mockTokenResponse);
+      expect(await getTempFileWrites()).toEqual([{
+        filePath: expect.stringContaining('.oauth-tokens.json'),
+        mode: 0o600,
+        data: JSON.stringify(mockTokenResponse, null, 2),
+        synced: true
+      }]);
+    });
+
+    it('should write to a temporary file and rename it into place', async () => {
       const fs = require('fs');
-      fs.promises.writeFile.mockResolvedValue();
 
       await client.saveTokens(mockTokenResponse);
 
-      expect(client.tokens).toEqual(mockTokenResponse);
-      expect(fs.promises.writeFile).toHaveBeenCalledWith(
-        expect.stringContaining('.oauth-tokens.json'),
-        JSON.stringify(mockTokenResponse, null, 2),
-        'utf8'
-      );
+      const [{ filePath: tempFile }] = await getTempFileWrites();
+      expect(tempFile).toMatch(/\.tmp$/);
+      expect(fs.promises.rename).toHaveBeenCalledWith(tempFile, client.tokenFile);
     });
   });
 
@@ -165,6 +357,507 @@ describe('HighPerformanceOAuthClient', () => {
     });
   });
 
+  describe('batch create partial failures', () => {
+    const hubspotError = (code, message) => Object.assign(new Error(`HTTP-Code: ${code}`), { code, body: { message } });
+
+    function mockContactCreate(implementation) {
+      client.ensureValidToken = jest.fn().mockResolvedValue();
+      client.client = { crm: { contacts: { batchApi: { create: jest.fn(implementation) } } } };
+      return client.client.crm.contacts.batchApi.create;
+    }
+
+    const echo = inputs => ({ status: 'COMPLETE', results: inputs.map((input, index) => ({ id: `new-${index}`, properties: input.properties })) });
+
+    it('should isolate rejected records, create the rest and report conflicts with the existing ID', async () => {
+      const create = mockContactCreate(async ({ inputs }) => {
+        const emails = inputs.map(input => input.properties.email);
+        if (emails.includes('dup@example.com')) throw hubspotError(409, 'Contact already exists. Existing ID: 999');
+        if (emails.includes('bad@example.com')) throw hubspotError(400, 'Property values were not valid');
+        return echo(inputs);
+      });
+      const onConflict = jest.fn();
+      const onFailure = jest.fn();
+
+      const contacts = ['a', 'dup', 'b', 'bad'].map(name => ({ email: `${name}@example.com` }));
+      const results = await client.batchCreateContacts(contacts, { onConflict, onFailure });
+
+      expect(results.map(result => result.properties.email)).toEqual(['a@example.com', 'b@example.com']);
+      expect(onConflict).toHaveBeenCalledWith({ email: 'dup@example.com' }, '999', 'Contact already exists. Existing ID: 999');
+      expect(onFailure).toHaveBeenCalledWith({ email: 'bad@example.com' }, 'Property values were not valid', 400);
+      // 1 full batch + 2 halves + 4 single records
+      expect(create).toHaveBeenCalledTimes(7);
+    });
+
+    it('should retry only the records missing from a multi-status response', async () => {
+      const create = mockContactCreate(async ({ inputs }) => ({
+        status: 'COMPLETE',
+        results: echo(inputs.filter(input => input.properties.email !== 'bad@example.com')).results,
+        errors: inputs.some(input => input.properties.email === 'bad@example.com')
+          ? [{ status: 'error', category: 'VALIDATION_ERROR', message: 'bad@example.com is not a valid email' }]
+          : []
+      }));
+      const onFailure = jest.fn();
+
+      const results = await client.batchCreateContacts(
+        [{ email: 'a@example.com' }, { email: 'bad@example.com' }, { email: 'b@example.com' }],
+        { onFailure }
+      );
+
+      expect(results).toHaveLength(2);
+      expect(create).toHaveBeenCalledTimes(2);
+      expect(create.mock.calls[1][0].inputs).toEqual([{ properties: { email: 'bad@example.com' } }]);
+      expect(onFailure).toHaveBeenCalledWith({ email: 'bad@example.com' }, 'bad@example.com is not a valid email', 400);
+    });
+
+    it('should throw with the failures and created results when no handlers are given', async () => {
+      mockContactCreate(async ({ inputs }) => {
+        if (inputs.some(input => input.properties.email === 'bad@example.com')) throw hubspotError(400, 'Property values were not valid');
+        return echo(inputs);
+      });
+
+      const error = await client.batchCreateContacts([{ email: 'a@example.com' }, { email: 'bad@example.com' }]).catch(caught => caught);
+
+      expect(error.message).toBe('Failed to create 1 contact(s): Property values were not valid');
+      expect(error.failures).toEqual([{ record: { email: 'bad@example.com' }, status: 400, message: 'Property values were not valid' }]);
+      expect(error.results).toHaveLength(1);
+    });
+
+    it('should not split batches for request-level errors', async () => {
+      const create = mockContactCreate(async () => {
+        throw hubspotError(500, 'Internal error');
+      });
+
+      await expect(client.batchCreateContacts([{ email: 'a@example.com' }, { email: 'b@example.com' }], { onFailure: jest.fn() }))
+        .rejects.toThrow('HTTP-Code: 500');
+      expect(create).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('batch update partial failures', () => {
+    const hubspotError = (code, message) => Object.assign(new Error(`HTTP-Code: ${code}`), { code, body: { message } });
+
+    function mockContactUpdate(implementation) {
+      client.ensureValidToken = jest.fn().mockResolvedValue();
+      client.client = { crm: { contacts: { batchApi: { update: jest.fn(implementation) } } } };
+      return client.client.crm.contacts.batchApi.update;
+    }
+
+    const echo = inputs => ({ status: 'COMPLETE', results: inputs.map(input => ({ id: input.id, properties: input.properties })) });
+    const updatesFor = ids => ids.map(id => ({ hubspotId: id, updateData: { user_type: id === 'bad' ? 'NOPE' : 'MP' } }));
+
+    it('should isolate a record with an invalid value and update the rest', async () => {
+      const update = mockContactUpdate(async ({ inputs }) => {
+        if (inputs.some(input => input.id === 'bad')) throw hubspotError(400, 'NOPE was not one of the allowed options for user_type');
+        return echo(inputs);
+      });
+      const onFailure = jest.fn();
+
+      const results = await client.batchUpdateContacts(updatesFor(['1', 'bad', '2', '3']), { onFailure });
+
+      // The failing half is retried after its sibling, to tell a bad record from a batch-wide error
+      expect(results.map(result => result.id).sort()).toEqual(['1', '2', '3']);
+      expect(onFailure).toHaveBeenCalledWith(
+        { hubspotId: 'bad', updateData: { user_type: 'NOPE' } },
+        'NOPE was not one of the allowed options for user_type',
+        400
+      );
+      // 1 full batch + 2 halves + 2 single records of the failing half
+      expect(update).toHaveBeenCalledTimes(5);
+    });
+
+    it('should fail every record of a batch-wide error without splitting down to single records', async () => {
+      const update = mockContactUpdate(async () => {
+        throw hubspotError(400, 'Property "nope" does not exist');
+      });
+      const onFailure = jest.fn();
+      const ids = Array.from({ length: 100 }, (value, index) => String(index + 1));
+
+      const results = await client.batchUpdateContacts(updatesFor(ids), { onFailure });
+
+      expect(results).toEqual([]);
+      // The full batch, then both halves failing with the same error
+      expect(update).toHaveBeenCalledTimes(3);
+      expect(onFailure).toHaveBeenCalledTimes(100);
+      expect(onFailure).toHaveBeenCalledWith(expect.objectContaining({ hubspotId: '100' }), 'Property "nope" does not exist', 400);
+    });
+
+    it('should retry the records missing from a multi-status response and report their own error', async () => {
+      const update = mockContactUpdate(async ({ inputs }) => ({
+        status: 'COMPLETE',
+        results: echo(inputs.filter(input => input.id !== 'bad')).results,
+        errors: inputs.some(input => input.id === 'bad') ? [{ status: 'error', category: 'OBJECT_NOT_FOUND', message: 'Object bad not found' }] : []
+      }));
+      const onFailure = jest.fn();
+
+      const results = await client.batchUpdateContacts(updatesFor(['1', 'bad', '2']), { onFailure });
+
+      expect(results).toHaveLength(2);
+      expect(update.mock.calls[1][0].inputs).toEqual([{ id: 'bad', properties: { user_type: 'NOPE' } }]);
+      expect(onFailure).toHaveBeenCalledWith(expect.objectContaining({ hubspotId: 'bad' }), 'Object bad not found', 400);
+    });
+
+    it('should throw with the failures and updated results when no handler is given', async () => {
+      mockContactUpdate(async ({ inputs }) => {
+        if (inputs.some(input => input.id === 'bad')) throw hubspotError(400, 'Property values were not valid');
+        return echo(inputs);
+      });
+
+      const error = await client.batchUpdateContacts(updatesFor(['1', 'bad'])).catch(caught => caught);
+
+      expect(error.message).toBe('Failed to update 1 contact(s): Property values were not valid');
+      expect(error.failures).toEqual([{ update: expect.objectContaining({ hubspotId: 'bad' }), status: 400, message: 'Property values were not valid' }]);
+      expect(error.results).toHaveLength(1);
+    });
+  });
+
+  describe('batchCreateAssociations', () => {
+    let batchApi;
+    let definitionsApi;
+
+    beforeEach(() => {
+      client.ensureValidToken = jest.fn().mockResolvedValue();
+      definitionsApi = {
+        getAll: jest.fn().mockResolvedValue({
+          results: [
+            { category: 'HUBSPOT_DEFINED', typeId: 279, label: null },
+            { category: 'USER_DEFINED', typeId: 7, label: 'Primary user' }
+          ]
+        })
+      };
+      batchApi = {
+        getPage: jest.fn().mockResolvedValue({
+          results: [{ _from: { id: 'c1' }, to: [{ toObjectId: 'a1', associationTypes: [{ typeId: 7, category: 'USER_DEFINED' }] }] }]
+        }),
+        create: jest.fn(async (from, to, { inputs }) => ({
+          status: 'COMPLETE',
+          results: inputs
+            .filter(input => input.to.id !== 'a-bad')
+            .map(input => ({ fromObjectId: input._from.id, toObjectId: input.to.id, labels: [] })),
+          errors: inputs.some(input => input.to.id === 'a-bad') ? [{ message: 'Invalid object ID' }] : []
+        }))
+      };
+      client.client = { crm: { associations: { v4: { batchApi, schema: { definitionsApi } } } } };
+    });
+
+    it('should create new links in batches and report a result per pair', async () => {
+      const accounts = [
+        { id: 'a1', properties: { id: 'U1' } },
+        { id: 'a2', properties: { id: 'U2' } },
+        { id: 'a-bad', properties: { id: 'U3' } }
+      ];
+      const contacts = [
+        { id: 'c1', properties: { email: 'u1@example.com' } },
+        { id: 'c2', properties: { email: 'u2@example.com' } },
+        { id: 'c3', properties: { email: 'u3@example.com' } }
+      ];
+      const pairs = [
+        { accountId: 'U1', contactEmail: 'u1@example.com' },
+        { accountId: 'U2', contactEmail: 'u2@example.com' },
+        { accountId: 'U3', contactEmail: 'u3@example.com' },
+        { accountId: 'U4', contactEmail: 'u1@example.com' }
+      ];
+
+      const results = await client.batchCreateAssociations(pairs, accounts, contacts);
+
+      expect(results.map(result => [result.accountId, result.status])).toEqual([
+        ['U1', 'existing'],
+        ['U2', 'created'],
+        ['U3', 'failed'],
+        ['U4', 'skipped']
+      ]);
+      expect(results[2].error).toBe('Invalid object ID');
+      expect(batchApi.getPage).toHaveBeenCalledWith('contacts', '2-123456', { inputs: [{ id: 'c1' }, { id: 'c2' }, { id: 'c3' }] });
+      expect(batchApi.create).toHaveBeenCalledWith('contacts', '2-123456', {
+        inputs: [
+          { _from: { id: 'c2' }, to: { id: 'a2' }, types: [{ associationCategory: 'USER_DEFINED', associationTypeId: 7 }] },
+          { _from: { id: 'c3' }, to: { id: 'a-bad' }, types: [{ associationCategory: 'USER_DEFINED', associationTypeId: 7 }] }
+        ]
+      });
+    });
+
+    it('should send at most 100 pairs per request', async () => {
+      const accounts = [];
+      const contacts = [];
+      const pairs = [];
+      for (let i = 0; i < 150; i++) {
+        accounts.push({ id: `a${i + 100}`, properties: { id: `U${i}` } });
+        contacts.push({ id: `c${i + 100}`, properties: { email: `u${i}@example.com` } });
+        pairs.push({ accountId: `U${i}`, contactEmail: `u${i}@example.com` });
+      }
+
+      const results = await client.batchCreateAssociations(pairs, accounts, contacts);
+
+      expect(batchApi.create.mock.calls.map(call => call[2].inputs.length)).toEqual([100, 50]);
+      expect(results.every(result => result.status === 'created')).toBe(true);
+    });
+
+    it('should mark a chunk failed when the request is rejected', async () => {
+      batchApi.create.mockRejectedValue(Object.assign(new Error('HTTP-Code: 400'), { code: 400, body: { message: 'Bad association type' } }));
+
+      const results = await client.batchCreateAssociations(
+        [{ accountId: 'U2', contactEmail: 'u2@example.com' }],
+        [{ id: 'a2', properties: { id: 'U2' } }],
+        [{ id: 'c2', properties: { email: 'u2@example.com' } }]
+      );
+
+      expect(results).toEqual([expect.objectContaining({ status: 'failed', error: 'Bad association type' })]);
+    });
+
+    it('should link pairs with the labels they name and fail unknown labels', async () => {
+      definitionsApi.getAll.mockResolvedValue({
+        results: [
+          { category: 'USER_DEFINED', typeId: 7, label: 'Primary user' },
+          { category: 'USER_DEFINED', typeId: 8, label: 'Billing contact' }
+        ]
+      });
+      client.associationLabel = 'Primary user';
+      batchApi.getPage.mockResolvedValue({ results: [] });
+
+      const results = await client.batchCreateAssociations(
+        [
+          { accountId: 'U2', contactEmail: 'u2@example.com', labels: ['primary user', 'Billing contact'] },
+          { accountId: 'U3', contactEmail: 'u3@example.com', labels: ['Owner'] }
+        ],
+        [{ id: 'a2', properties: { id: 'U2' } }, { id: 'a3', properties: { id: 'U3' } }],
+        [{ id: 'c2', properties: { email: 'u2@example.com' } }, { id: 'c3', properties: { email: 'u3@example.com' } }]
+      );
+
+      expect(batchApi.create.mock.calls[0][2].inputs).toEqual([{
+        _from: { id: 'c2' },
+        to: { id: 'a2' },
+        types: [
+          { associationCategory: 'USER_DEFINED', associationTypeId: 7 },
+          { associationCategory: 'USER_DEFINED', associationTypeId: 8 }
+        ]
+      }]);
+      expect(results.map(result => [result.accountId, result.status, result.error])).toEqual([
+        ['U2', 'created', null],
+        ['U3', 'failed', 'Unknown association label: Owner']
+      ]);
+    });
+
+    it('should read links of the configured type from the account side', async () => {
+      batchApi.getPage.mockResolvedValue({
+        results: [{
+          _from: { id: 'a1' },
+          to: [
+            { toObjectId: 'c1', associationTypes: [{ typeId: 7, category: 'USER_DEFINED' }] },
+            { toObjectId: 'c9', associationTypes: [{ typeId: 279, category: 'HUBSPOT_DEFINED' }] }
+          ]
+        }]
+      });
+
+      const linked = await client.getAssociatedContactIds(['a1', 'a2']);
+
+      expect(batchApi.getPage).toHaveBeenCalledWith('2-123456', 'contacts', { inputs: [{ id: 'a1' }, { id: 'a2' }] });
+      expect(linked).toEqual(new Map([['a1', new Map([['c1', new Set([7])]])], ['a2', new Map()]]));
+    });
+
+    it('should remove only the configured label from stale pairs', async () => {
+      batchApi.archiveLabels = jest.fn().mockResolvedValue();
+
+      const results = await client.batchRemoveAssociations([{ accountId: 'U1', accountHubSpotId: 'a1', contactHubSpotId: 'c9' }]);
+
+      expect(batchApi.archiveLabels).toHaveBeenCalledWith('contacts', '2-123456', {
+        inputs: [{ _from: { id: 'c9' }, to: { id: 'a1' }, types: [{ associationCategory: 'USER_DEFINED', associationTypeId: 7 }] }]
+      });
+      expect(results).toEqual([expect.objectContaining({ accountId: 'U1', status: 'removed' })]);
+    });
+  });
+
+  describe('deactivation lookups', () => {
+    beforeEach(() => {
+      client.ensureValidToken = jest.fn().mockResolvedValue();
+    });
+
+    it('should read only the inactive user_ids by ID property and keep active accounts', async () => {
+      const read = jest.fn().mockResolvedValue({
+        results: [
+          { id: '101', properties: { id: 'U1', active_subscription: 'true' } },
+          { id: '102', properties: { id: 'U2', active_subscription: 'false' } }
+        ]
+      });
+      client.client = { crm: { objects: { batchApi: { read } } } };
+      const deactivationMap = new Map([
+        ['U1', { id: 'U1', active_subscription: 'false' }],
+        ['U2', { id: 'U2', active_subscription: 'false' }],
+        ['U3', { id: 'U3', active_subscription: 'false' }]
+      ]);
+
+      const accounts = await client.identifyDeactivations(deactivationMap, ['weekly_subscriptions']);
+
+      expect(read).toHaveBeenCalledWith('123456', {
+        idProperty: 'id',
+        inputs: [{ id: 'U1' }, { id: 'U2' }, { id: 'U3' }],
+        properties: ['id', 'active_subscription', 'weekly_subscriptions'],
+        propertiesWithHistory: []
+      });
+      expect(accounts).toEqual([{
+        hubspotId: '101',
+        accountId: 'U1',
+        current: { id: 'U1', active_subscription: 'true' },
+        updateData: { id: 'U1', active_subscription: 'false' }
+      }]);
+    });
+
+    it('should page active accounts by object ID past the search result cap', async () => {
+      const page = (start, count) => ({
+        results: Array.from({ length: count }, (_, i) => ({ id: String(start + i), properties: { id: `U${start + i}` } }))
+      });
+      const doSearch = jest.fn()
+        .mockResolvedValueOnce(page(1, 100))
+        .mockResolvedValueOnce(page(101, 20));
+      client.client = { crm: { objects: { searchApi: { doSearch } } } };
+
+      const accounts = await client.searchActiveAccounts();
+
+      expect(accounts).toHaveLength(120);
+      expect(doSearch.mock.calls[1][1].filterGroups[0].filters).toContainEqual({ propertyName: 'hs_object_id', operator: 'GT', value: '100' });
+      expect(doSearch.mock.calls[1][1].after).toBeUndefined();
+    });
+  });
+
+  describe('resolveAssociationTypes', () => {
+    let getAll;
+
+    beforeEach(() => {
+      client.ensureValidToken = jest.fn().mockResolvedValue();
+      getAll = jest.fn().mockResolvedValue({
+        results: [
+          { category: 'HUBSPOT_DEFINED', typeId: 279, label: null },
+          { category: 'USER_DEFINED', typeId: 7, label: 'Primary user' },
+          { category: 'USER_DEFINED', typeId: 8, label: 'Billing contact' }
+        ]
+      });
+      client.client = { crm: { associations: { v4: { schema: { definitionsApi: { getAll } } } } } };
+    });
+
+    it('should use the configured label', async () => {
+      client.associationLabel = 'billing contact';
+
+      const types = await client.resolveAssociationTypes();
+
+      expect(getAll).toHaveBeenCalledWith('contacts', '2-123456');
+      expect(types.default).toEqual({ category: 'USER_DEFINED', typeId: 8, label: 'Billing contact' });
+    });
+
+    it('should fail fast when the configured type is not defined', async () => {
+      client.associationTypeId = 99;
+
+      await expect(client.resolveAssociationTypes()).rejects.toThrow(
+        'Association type ID 99 is not defined between contacts and 2-123456 (available: (HUBSPOT_DEFINED 279), "Primary user" (USER_DEFINED 7), "Billing contact" (USER_DEFINED 8))'
+      );
+    });
+
+    it('should refuse to guess between several labels', async () => {
+      await expect(client.resolveAssociationTypes()).rejects.toThrow('set HUBSPOT_ASSOCIATION_LABEL or HUBSPOT_ASSOCIATION_TYPE_ID');
+    });
+
+    it('should fall back to the unlabelled type when the portal has no labels', async () => {
+      getAll.mockResolvedValue({ results: [{ category: 'HUBSPOT_DEFINED', typeId: 279, label: null }] });
+
+      expect((await client.resolveAssociationTypes()).default.typeId).toBe(279);
+    });
+  });
+
+  describe('verifySchema', () => {
+    const userTypeOptions = [{ value: 'MP' }, { value: 'USAMPS' }];
+    const accountProperties = [
+      { name: 'id', type: 'string' },
+      { name: 'account_type', type: 'enumeration', options: userTypeOptions },
+      { name: 'active_subscription', type: 'enumeration', options: [{ value: 'true' }, { value: 'false' }] },
+      { name: 'weekly_subscriptions', type: 'number' },
+      { name: 'monthly_subscriptions', type: 'number' },
+      { name: 'daily_subscriptions', type: 'number' },
+      { name: 'ever_had_subscription', type: 'bool' }
+    ];
+    const contactProperties = [
+      { name: 'email', type: 'string' },
+      { name: 'user_type', type: 'enumeration', options: userTypeOptions }
+    ];
+    let getAll;
+
+    beforeEach(() => {
+      client.ensureValidToken = jest.fn().mockResolvedValue();
+      getAll = jest.fn(objectType => Promise.resolve({
+        results: objectType === 'contacts' ? contactProperties : accountProperties
+      }));
+      client.client = { crm: { properties: { coreApi: { getAll } } } };
+    });
+
+    it('should accept a portal that matches the field mapping', async () => {
+      await expect(client.verifySchema()).resolves.toEqual({ checked: 9 });
+      expect(getAll.mock.calls.map(call => call[0])).toEqual(['2-123456', 'contacts']);
+    });
+
+    it('should list every missing property, type mismatch and enum option', async () => {
+      getAll.mockImplementation(objectType => Promise.resolve({
+        results: objectType === 'contacts'
+          ? [{ name: 'email', type: 'string' }, { name: 'user_type', type: 'enumeration', options: [{ value: 'MP' }, { value: 'USAMPS', hidden: true }] }]
+          : accountProperties
+            .filter(property => property.name !== 'ever_had_subscription')
+            .map(property => (property.name === 'weekly_subscriptions' ? { ...property, type: 'string' } : property))
+      }));
+
+      const error = await client.verifySchema().catch(caught => caught);
+
+      expect(error.message).toContain('HubSpot schema does not match the field mapping');
+      expect(error.message.split('\n  - ').slice(1)).toEqual([
+        'accounts.weekly_subscriptions: mapped as number but the portal property is string',
+        'accounts.ever_had_subscription: property does not exist in the portal',
+        'contacts.user_type: enumeration is missing option USAMPS'
+      ]);
+    });
+
+    it('should explain when the properties cannot be read', async () => {
+      getAll.mockRejectedValue(Object.assign(new Error('Forbidden'), { code: 403, body: { message: 'This app lacks the crm.schemas.custom.read scope' } }));
+
+      await expect(client.verifySchema()).rejects.toThrow('Could not read the 2-123456 properties: This app lacks the crm.schemas.custom.read scope');
+    });
+  });
+
+  describe('batchUpdateContacts', () => {
+    it('should update contacts by HubSpot ID', async () => {
+      client.client = {
+        crm: {
+          contacts: {
+            batchApi: {
+              update: jest.fn().mockResolvedValue({
+                status: 'COMPLETE',
+                results: [{ id: '987654321', properties: { email: 'test1@example.com', user_type: 'USAMPS' } }]
+              })
+            }
+          }
+        }
+      };
+
+      const result = await client.batchUpdateContacts([
+        { hubspotId: '987654321', updateData: { email: 'test1@example.com', user_type: 'USAMPS' } }
+      ]);
+
+      expect(result).toHaveLength(1);
+      expect(client.client.crm.contacts.batchApi.update).toHaveBeenCalledWith({
+        inputs: [{ id: '987654321', properties: { email: 'test1@example.com', user_type: 'USAMPS' } }]
+      });
+    });
+
+    it('should send at most 100 contacts per request', async () => {
+      const update = jest.fn(({ inputs }) => Promise.resolve({ results: inputs.map(input => ({ id: input.id })) }));
+      client.client = { crm: { contacts: { batchApi: { update } } } };
+      const updates = Array.from({ length: 250 }, (_, index) => ({ hubspotId: String(index), updateData: { user_type: 'USAMPS' } }));
+
+      const result = await client.batchUpdateContacts(updates);
+
+      expect(result).toHaveLength(250);
+      expect(update.mock.calls.map(([request]) => request.inputs.length)).toEqual([100, 100, 50]);
+    });
+
+    it('should handle empty input gracefully', async () => {
+      const result = await client.batchUpdateContacts([]);
+      expect(result).toEqual([]);
+    });
+  });
+
   describe('batchSearchAccounts', () => {
     it('should search for accounts by IDs', async () => {
       client.client = {
@@ -232,5 +925,21 @@ describe('HighPerformanceOAuthClient', () => {
         })
       );
     });
+
+    it('should return emails in their normalised form so CSV rows match them', async () => {
+      client.client = {
+        crm: {
+          contacts: {
+            searchApi: {
+              doSearch: jest.fn().mockResolvedValue({ results: [{ id: '201', properties: { email: 'John@X.com' } }] })
+            }
+          }
+        }
+      };
+
+      const result = await client.batchSearchContacts(['john@x.com']);
+
+      expect(result).toEqual([{ id: '201', properties: { email: 'john@x.com' } }]);
+    });
   });
 });
\ No newline at end of file
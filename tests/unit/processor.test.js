@@ -5,6 +5,7 @@
 const HighPerformanceProcessor = require('../../src/core/processor');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 
 describe('HighPerformanceProcessor', () => {
   let processor;
@@ -33,6 +34,22 @@ describe('HighPerformanceProcessor', () => {
       });
     });
 
+    it('should produce the same keys for file and string input', async () => {
+      const csvData = 'User ID,Email,Company\r\nTEST_USER,test@example.com,"Acme, Inc."\r\n';
+      const filePath = path.join(os.tmpdir(), `processor-test-${process.pid}.csv`);
+      fs.writeFileSync(filePath, csvData);
+
+      try {
+        const fromFile = await processor.parseCSV(filePath);
+        const fromString = await processor.parseCSV(csvData);
+
+        expect(fromFile).toEqual([{ user_id: 'TEST_USER', email: 'test@example.com', company: 'Acme, Inc.' }]);
+        expect(fromString).toEqual(fromFile);
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+
     it('should handle empty CSV data', async () => {
       const csvData = '_id,email,user_id,user_type,active_sub,total_sub_count,weekly_sub_count,monthly_sub_count,daily_sub_count\n';
       
@@ -42,6 +59,32 @@ describe('HighPerformanceProcessor', () => {
     });
   });
 
+  describe('readRecordWindows', () => {
+    it('should yield fixed-size windows of parsed rows', async () => {
+      const filePath = path.join(os.tmpdir(), `processor-windows-${process.pid}.csv`);
+      const lines = ['user_id,email'];
+      for (let i = 1; i <= 7; i++) {
+        lines.push(`USER_${i},user${i}@example.com`);
+      }
+      fs.writeFileSync(filePath, lines.join('\n'));
+
+      try {
+        const windows = [];
+        for await (const window of processor.readRecordWindows(filePath, 3)) {
+          windows.push(window.map(row => row.user_id));
+        }
+
+        expect(windows).toEqual([
+          ['USER_1', 'USER_2', 'USER_3'],
+          ['USER_4', 'USER_5', 'USER_6'],
+          ['USER_7']
+        ]);
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+
   describe('mapAccountType', () => {
     it('should map MP to MP', () => {
       expect(processor.mapAccountType('MP')).toBe('MP');
@@ -70,6 +113,53 @@ describe('HighPerformanceProcessor', () => {
     });
   });
 
+  describe('getValidationErrors', () => {
+    it('should explain why a row is rejected', () => {
+      expect(processor.getValidationErrors({ user_id: '', email: 'not-an-email' })).toEqual([
+        'Missing required field user_id',
+        'Invalid email format: not-an-email'
+      ]);
+      expect(processor.getValidationErrors({ user_id: 'U1', email: 'u1@example.com' })).toEqual([]);
+    });
+
+    it('should reject typo and disposable email domains under the default policy', () => {
+      expect(processor.getValidationErrors({ user_id: 'U1', email: 'u1@gmial.com' })).toEqual([
+        'Likely typo in email domain: u1@gmial.com (did you mean gmail.com?)'
+      ]);
+      expect(processor.getValidationErrors({ user_id: 'U1', email: 'u1@mailinator.com' })).toEqual([
+        'Disposable email domain: mailinator.com'
+      ]);
+    });
+
+    it('should reject rows breaking error rules and import rows with warnings', () => {
+      const invalid = { user_id: 'U1', email: 'u1@example.com', user_type: 'ACME', active_sub: 'TRUE', weekly_sub_count: '-1' };
+      const warned = { user_id: 'U2', email: 'u2@example.com', user_type: 'MP', active_sub: 'TRUE', weekly_sub_count: '0' };
+
+      const result = processor.filterRecordsForProcessing([invalid, warned]);
+
+      expect(result.invalidRecords).toEqual([{ row: invalid, reason: 'weekly_sub_count must be at least 0: -1' }]);
+      expect(result.activeRecords).toEqual([warned]);
+      expect(result.warningRecords).toEqual([{ row: warned, reason: 'active_sub is true but every subscription count is 0' }]);
+    });
+
+    it('should import rows with a user_type outside the default list and warn about them', () => {
+      const row = { user_id: 'U1', email: 'u1@example.com', user_type: 'PARTNER', active_sub: 'FALSE', weekly_sub_count: '0' };
+
+      expect(processor.getValidationIssues(row)).toEqual({ errors: [], warnings: ['user_type must be one of MP, WIX: PARTNER'] });
+    });
+
+    it('should return rejected rows from filterRecordsForProcessing', () => {
+      const invalid = { user_id: 'U2', email: '' };
+      const result = processor.filterRecordsForProcessing([
+        { user_id: 'U1', email: 'u1@example.com', active_sub: 'TRUE' },
+        invalid
+      ]);
+
+      expect(result.allRecordsForCreation).toHaveLength(1);
+      expect(result.invalidRecords).toEqual([{ row: invalid, reason: 'Missing required field email' }]);
+    });
+  });
+
   describe('processDataForAccounts', () => {
     it('should convert CSV data to HubSpot account format', () => {
       const csvData = [{
@@ -87,14 +177,15 @@ describe('HighPerformanceProcessor', () => {
       expect(result[0]).toEqual({
         id: 'TEST_USER',
         account_type: 'USAMPS',
-        active_subscription: true,
+        active_subscription: 'true',
         weekly_subscriptions: 2,
         monthly_subscriptions: 1,
-        daily_subscriptions: 1
+        daily_subscriptions: 1,
+        ever_had_subscription: 'true'
       });
     });
 
-    it('should handle boolean conversion for active_sub', () => {
+    it('should format active_sub as the mapping declares', () => {
       const csvData = [
         { user_id: 'USER1', user_type: 'MP', active_sub: 'TRUE', weekly_sub_count: '0', monthly_sub_count: '0', daily_sub_count: '0' },
         { user_id: 'USER2', user_type: 'MP', active_sub: 'FALSE', weekly_sub_count: '0', monthly_sub_count: '0', daily_sub_count: '0' },
@@ -103,9 +194,10 @@ describe('HighPerformanceProcessor', () => {
 
       const result = processor.processDataForAccounts(csvData);
 
-      expect(result[0].active_subscription).toBe(true);
-      expect(result[1].active_subscription).toBe(false);
-      expect(result[2].active_subscription).toBe(true);
+      // The mapping formats booleans as the strings HubSpot stores
+      expect(result[0].active_subscription).toBe('true');
+      expect(result[1].active_subscription).toBe('false');
+      expect(result[2].active_subscription).toBe('true');
     });
   });
 
@@ -162,6 +254,44 @@ describe('HighPerformanceProcessor', () => {
       expect(result.toCreate.map(r => r.user_id)).toEqual(['USER1', 'USER3']);
       expect(result.toUpdate.map(r => r.user_id)).toEqual(['USER2']);
     });
+
+    it('should skip existing records whose mapped values already match', () => {
+      const csvData = [
+        { user_id: 'USER1', email: 'user1@example.com', user_type: 'MP', active_sub: 'TRUE', weekly_sub_count: '2' },
+        { user_id: 'USER2', email: 'user2@example.com', user_type: 'MP', active_sub: 'TRUE', weekly_sub_count: '5' }
+      ];
+      const current = { account_type: 'MP', active_subscription: 'true', weekly_subscriptions: '2', monthly_subscriptions: '0', daily_subscriptions: '0', ever_had_subscription: 'true' };
+      const existingProperties = {
+        accounts: new Map([['USER1', { id: 'USER1', ...current }], ['USER2', { id: 'USER2', ...current }]]),
+        contacts: new Map([['user1@example.com', { email: 'user1@example.com', user_type: 'MP' }], ['user2@example.com', { email: 'user2@example.com', user_type: 'MP' }]])
+      };
+
+      const result = processor.categorizeRecordsByExistence(
+        csvData,
+        new Set(['USER1', 'USER2']),
+        new Set(['user1@example.com', 'user2@example.com']),
+        existingProperties
+      );
+
+      expect(result.toSkip.map(r => r.user_id)).toEqual(['USER1']);
+      expect(result.toUpdate.map(r => r.user_id)).toEqual(['USER2']);
+    });
+  });
+
+  describe('diffProperties', () => {
+    it('should compare values after type normalisation and ignore key properties', () => {
+      const current = { id: 'USER1', weekly_subscriptions: '2', active_subscription: 'true', account_type: 'MP' };
+      const proposed = { id: 'USER1', weekly_subscriptions: 2, active_subscription: true, account_type: 'USAMPS' };
+
+      expect(processor.diffProperties('accounts', current, proposed)).toEqual({ account_type: 'USAMPS' });
+    });
+
+    it('should never downgrade ever_had_subscription on update', () => {
+      const current = { ever_had_subscription: 'true', active_subscription: 'true' };
+      const proposed = { ever_had_subscription: 'false', active_subscription: 'false' };
+
+      expect(processor.getUpdateChanges('accounts', current, proposed)).toEqual({ active_subscription: 'false' });
+    });
   });
 
   describe('groupForBatchProcessing', () => {
@@ -181,5 +311,20 @@ describe('HighPerformanceProcessor', () => {
       expect(result[0].contacts).toHaveLength(2);
       expect(result[0].associations).toHaveLength(2);
     });
+
+    it('should take association labels from the configured column', () => {
+      processor = new HighPerformanceProcessor({ associationLabelColumn: 'role' });
+      const records = [
+        { user_id: 'USER1', email: 'user1@example.com', user_type: 'MP', role: 'Primary user; Billing contact' },
+        { user_id: 'USER2', email: 'user2@example.com', user_type: 'WIX', role: '' }
+      ];
+
+      const [batch] = processor.groupForBatchProcessing(records);
+
+      expect(batch.associations).toEqual([
+        { accountId: 'USER1', contactEmail: 'user1@example.com', labels: ['Primary user', 'Billing contact'] },
+        { accountId: 'USER2', contactEmail: 'user2@example.com' }
+      ]);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Unit tests for HubSpotRateLimiter
+ */
+
+const HubSpotRateLimiter = require('../../src/core/rate-limiter');
+
+describe('HubSpotRateLimiter', () => {
+  it('should allow a full burst without waiting', async () => {
+    const limiter = new HubSpotRateLimiter({ burstLimit: 5, intervalMs: 1000 });
+
+    const startTime = Date.now();
+    await Promise.all([1, 2, 3, 4, 5].map(() => limiter.acquire()));
+
+    expect(Date.now() - startTime).toBeLessThan(100);
+    expect(limiter.getStats()).toMatchObject({ requests: 5, throttledRequests: 0 });
+  });
+
+  it('should throttle requests beyond the burst limit', async () => {
+    const limiter = new HubSpotRateLimiter({ burstLimit: 2, intervalMs: 400 });
+
+    const startTime = Date.now();
+    await Promise.all([1, 2, 3].map(() => limiter.acquire()));
+
+    // The third request waits for one token to refill (400ms / 2 tokens)
+    expect(Date.now() - startTime).toBeGreaterThanOrEqual(180);
+    expect(limiter.getStats().throttledRequests).toBe(1);
+  });
+
+  it('should reject requests once the daily quota is used up', async () => {
+    const limiter = new HubSpotRateLimiter({ burstLimit: 10, dailyLimit: 2 });
+
+    await limiter.acquire();
+    await limiter.acquire();
+
+    await expect(limiter.acquire()).rejects.toThrow('daily API quota of 2 requests exhausted');
+    expect(limiter.getStats().dailyRemaining).toBe(0);
+  });
+});
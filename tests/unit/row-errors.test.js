@@ -0,0 +1,94 @@
+/**
+ * Unit tests for per-row error reporting
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { RowErrorLog, createRowError, formatRowErrorsCsv, parseRowErrorsCsv, warningsFilePath, writeRowErrors } = require('../../src/core/row-errors');
+const { parseCSVText } = require('../../src/core/csv-stream');
+
+describe('row-errors', () => {
+  const [row] = parseCSVText('user_id,email\nU1,u1@example.com');
+
+  it('should describe a row by file row number and keys', () => {
+    expect(createRowError(row, { phase: 'create', reason: 'Property values were not valid', objectType: 'contact' })).toEqual({
+      rowNumber: 2,
+      userId: 'U1',
+      email: 'u1@example.com',
+      phase: 'create',
+      objectType: 'contact',
+      reason: 'Property values were not valid'
+    });
+    expect(() => createRowError(row, { phase: 'unknown', reason: 'x' })).toThrow('Unknown row error phase "unknown"');
+  });
+
+  it('should format rejects as CSV with quoted reasons and read them back', () => {
+    const rowErrors = [
+      createRowError(row, { phase: 'validation', reason: 'Missing required field email; Invalid "x"' }),
+      createRowError(null, { phase: 'deactivation', reason: 'Not found', objectType: 'account' })
+    ];
+    const csv = formatRowErrorsCsv(rowErrors);
+
+    expect(csv).toBe('row_number,user_id,email,phase,object_type,reason\n2,U1,u1@example.com,validation,,"Missing required field email; Invalid ""x"""\n,,,deactivation,account,Not found\n');
+    expect(parseRowErrorsCsv(csv)).toEqual(rowErrors);
+  });
+
+  it('should write JSON when the path ends in .json', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'row-errors-test-'));
+    try {
+      const rowErrors = [createRowError(row, { phase: 'update', reason: 'Not found' })];
+      await writeRowErrors(path.join(directory, 'rejects.json'), rowErrors);
+      await writeRowErrors(path.join(directory, 'rejects.csv'), rowErrors);
+
+      expect(JSON.parse(fs.readFileSync(path.join(directory, 'rejects.json'), 'utf8'))).toEqual(rowErrors);
+      expect(fs.readFileSync(path.join(directory, 'rejects.csv'), 'utf8')).toContain('2,U1,u1@example.com,update,,Not found');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should name the warnings file after the rejects file', () => {
+    expect(warningsFilePath('/data/rejects/run-1.csv')).toBe('/data/rejects/run-1-warnings.csv');
+    expect(warningsFilePath('rejects.json')).toBe('rejects-warnings.json');
+  });
+
+  describe('RowErrorLog', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'row-error-log-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should append flushed entries and reopen at a saved position', async () => {
+      const filePath = path.join(directory, 'rejects', 'run.csv');
+      const first = createRowError(row, { phase: 'validation', reason: 'Invalid email format' });
+      const second = createRowError(row, { phase: 'create', reason: 'Property values were not valid', objectType: 'contact' });
+
+      const log = await new RowErrorLog(filePath).open();
+      log.append(first);
+      await log.flush();
+      const saved = log.position();
+      log.append(second);
+      await log.flush();
+      expect(await log.read()).toEqual([first, second]);
+      expect(log.position().count).toBe(2);
+
+      const reopened = await new RowErrorLog(filePath).open(saved);
+      expect(await reopened.read()).toEqual([first]);
+      expect(reopened.position()).toEqual(saved);
+    });
+
+    it('should start over when the file was deleted since the saved position', async () => {
+      const filePath = path.join(directory, 'run.csv');
+      const log = await new RowErrorLog(filePath).open({ file: filePath, size: 120, count: 2 });
+
+      expect(log.position().count).toBe(0);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('row_number,user_id,email,phase,object_type,reason\n');
+    });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Unit tests for the delta-sync hash index
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { SnapshotIndexStore, hashRecord } = require('../../src/core/snapshot-index');
+
+describe('snapshot-index', () => {
+  let directory;
+  let store;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-index-test-'));
+    store = new SnapshotIndexStore({ filePath: path.join(directory, 'last-import.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should hash records to short stable values that change with the data', () => {
+    const hash = hashRecord([{ id: 'U1', weekly_subscriptions: 2 }, { email: 'u1@example.com' }]);
+
+    expect(hash).toMatch(/^[0-9a-f]{16}$/);
+    expect(hashRecord([{ id: 'U1', weekly_subscriptions: 2 }, { email: 'u1@example.com' }])).toBe(hash);
+    expect(hashRecord([{ id: 'U1', weekly_subscriptions: 3 }, { email: 'u1@example.com' }])).not.toBe(hash);
+  });
+
+  it('should return null before the first save and round-trip the index', async () => {
+    expect(await store.load()).toBeNull();
+
+    await store.save(new Map([['U1', 'aaaa'], ['U2', 'bbbb']]), { runId: 'run-1' });
+
+    expect(await store.load()).toEqual(new Map([['U1', 'aaaa'], ['U2', 'bbbb']]));
+    expect(JSON.parse(fs.readFileSync(store.filePath, 'utf8'))).toEqual(expect.objectContaining({ runId: 'run-1' }));
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit tests for the dry-run sync plan
+ */
+
+const { SyncPlan, describeChanges } = require('../../src/core/sync-plan');
+
+describe('sync-plan', () => {
+  describe('describeChanges', () => {
+    it('should pair each change with the current HubSpot value', () => {
+      expect(describeChanges(
+        { id: 'U1', weekly_subscriptions: '2', account_type: 'MP' },
+        { weekly_subscriptions: 3, ever_had_subscription: 'true' }
+      )).toEqual({
+        weekly_subscriptions: { from: '2', to: 3 },
+        ever_had_subscription: { from: null, to: 'true' }
+      });
+    });
+  });
+
+  describe('SyncPlan', () => {
+    it('should summarise planned changes as JSON and text', () => {
+      const plan = new SyncPlan();
+      plan.addCreate('accounts', { id: 'NEW' });
+      plan.addUpdate('accounts', { key: 'U1', hubspotId: '101', current: { weekly_subscriptions: '1' }, changes: { weekly_subscriptions: 2 } });
+      plan.addUpdate('contacts', { key: 'a@b.com', hubspotId: '201', current: { email: 'a@b.com' }, changes: {} });
+      plan.addDeactivation({ key: 'U2', hubspotId: '102', current: { active_subscription: 'true' }, changes: { active_subscription: 'false' } });
+      plan.addAssociation('NEW', 'new@b.com');
+      plan.addAssociationRemoval('U1', '301');
+
+      expect(plan.toJSON().summary).toEqual({
+        accountsToCreate: 1,
+        contactsToCreate: 0,
+        accountsToUpdate: 1,
+        contactsToUpdate: 0,
+        accountsUnchanged: 0,
+        contactsUnchanged: 1,
+        accountsToDeactivate: 1,
+        associationsToCreate: 1,
+        associationsToRemove: 1
+      });
+      expect(plan.toJSON().updates.contacts).toEqual([]);
+      expect(plan.toJSON().associationRemovals).toEqual([{ accountId: 'U1', contactHubSpotId: '301' }]);
+
+      const text = plan.formatSummary();
+      expect(text).toContain('U1: weekly_subscriptions: 1 → 2');
+      expect(text).toContain('U2: active_subscription: true → false');
+      expect(text).not.toContain('a@b.com:');
+    });
+  });
+});
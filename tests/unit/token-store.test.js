@@ -0,0 +1,92 @@
+/**
+ * Unit tests for token storage backends
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileTokenStore, EncryptedFileTokenStore, EnvTokenStore, createTokenStore } = require('../../src/core/token-store');
+const { mockTokenResponse } = require('../fixtures/mock-responses');
+
+describe('token stores', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+    filePath = path.join(tempDir, 'nested', '.oauth-tokens.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('FileTokenStore', () => {
+    it('should round-trip tokens without leaving temporary files behind', async () => {
+      const store = new FileTokenStore({ filePath });
+
+      await store.save(mockTokenResponse);
+
+      expect(await store.load()).toEqual(mockTokenResponse);
+      expect(fs.readdirSync(path.dirname(filePath))).toEqual(['.oauth-tokens.json']);
+      expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+    });
+
+    it('should return null when no token file exists', async () => {
+      await expect(new FileTokenStore({ filePath }).load()).resolves.toBeNull();
+    });
+
+    it('should report a token file that exists but cannot be read', async () => {
+      fs.mkdirSync(filePath, { recursive: true });
+
+      await expect(new FileTokenStore({ filePath }).load()).rejects.toThrow(`Unable to read token file ${filePath}`);
+    });
+  });
+
+  describe('EncryptedFileTokenStore', () => {
+    const key = 'a'.repeat(64);
+
+    it('should encrypt tokens at rest', async () => {
+      const store = new EncryptedFileTokenStore({ filePath, encryptionKey: key });
+
+      await store.save(mockTokenResponse);
+
+      const contents = fs.readFileSync(filePath, 'utf8');
+      expect(contents).not.toContain(mockTokenResponse.access_token);
+      expect(JSON.parse(contents)).toMatchObject({ version: 1, algorithm: 'aes-256-gcm' });
+      expect(await store.load()).toEqual(mockTokenResponse);
+    });
+
+    it('should fail clearly with the wrong key', async () => {
+      await new EncryptedFileTokenStore({ filePath, encryptionKey: key }).save(mockTokenResponse);
+      const wrongKeyStore = new EncryptedFileTokenStore({ filePath, encryptionKey: 'b'.repeat(64) });
+
+      await expect(wrongKeyStore.load()).rejects.toThrow('check HUBSPOT_TOKEN_ENCRYPTION_KEY');
+    });
+
+    it('should require an encryption key', () => {
+      expect(() => new EncryptedFileTokenStore({ filePath })).toThrow('HUBSPOT_TOKEN_ENCRYPTION_KEY is required');
+    });
+  });
+
+  describe('EnvTokenStore', () => {
+    it('should read tokens from the environment and never write to disk', async () => {
+      const store = new EnvTokenStore({
+        env: { HUBSPOT_OAUTH_ACCESS_TOKEN: 'env-access', HUBSPOT_OAUTH_REFRESH_TOKEN: 'env-refresh' }
+      });
+
+      expect(await store.load()).toEqual({ access_token: 'env-access', refresh_token: 'env-refresh' });
+
+      await store.save({ access_token: 'rotated' });
+      expect(await store.load()).toEqual({ access_token: 'rotated' });
+    });
+  });
+
+  describe('createTokenStore', () => {
+    it('should pick the encrypted store when a key is configured', () => {
+      expect(createTokenStore({ filePath }).type).toBe('file');
+      expect(createTokenStore({ filePath, encryptionKey: 'passphrase' }).type).toBe('encrypted-file');
+      expect(createTokenStore({ type: 'env' }).type).toBe('env');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for the per-deployment row validation rules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { ValidationRules } = require('../../src/core/validation-rules');
+
+describe('ValidationRules', () => {
+  it('should check numeric ranges on several columns', () => {
+    const rules = new ValidationRules({
+      rules: [{ type: 'range', columns: ['weekly', 'daily'], min: 0, max: 10, integer: true }]
+    });
+
+    expect(rules.check({ weekly: '3', daily: '' })).toEqual({ errors: [], warnings: [] });
+    expect(rules.check({ weekly: '11', daily: '1.5' }).errors).toEqual([
+      'weekly must be between 0 and 10: 11; daily must be a whole number: 1.5'
+    ]);
+  });
+
+  it('should check allowed values and patterns', () => {
+    const rules = new ValidationRules({
+      rules: [
+        { type: 'enum', column: 'user_type', values: ['MP', 'WIX'] },
+        { type: 'regex', column: 'user_id', pattern: '^U\\d+$', severity: 'warning' }
+      ]
+    });
+
+    expect(rules.check({ user_type: 'wix', user_id: 'U1' })).toEqual({ errors: [], warnings: [] });
+    expect(rules.check({ user_type: 'ACME', user_id: 'X1' })).toEqual({
+      errors: ['user_type must be one of MP, WIX: ACME'],
+      warnings: ['user_id does not match ^U\\d+$: X1']
+    });
+  });
+
+  it('should apply cross-field rules only when their condition holds', () => {
+    const rules = new ValidationRules({
+      rules: [{
+        type: 'crossField',
+        when: { column: 'active_sub', equals: 'true' },
+        then: { any: [{ column: 'weekly', min: 1 }, { column: 'daily', min: 1 }] }
+      }]
+    });
+
+    expect(rules.check({ active_sub: 'FALSE', weekly: '0', daily: '0' }).errors).toEqual([]);
+    expect(rules.check({ active_sub: 'TRUE', weekly: '0', daily: '2' }).errors).toEqual([]);
+    expect(rules.check({ active_sub: 'TRUE', weekly: '0', daily: '' }).errors).toEqual([
+      'active_sub requires any of weekly, daily to satisfy the rule'
+    ]);
+  });
+
+  it('should accept custom rule types', () => {
+    ValidationRules.registerRuleType('notEqual', rule => row => (row[rule.column] === row[rule.other] ? `${rule.column} must differ from ${rule.other}` : null));
+    const rules = new ValidationRules({ rules: [{ type: 'notEqual', column: 'email', other: 'user_id' }] });
+
+    expect(rules.check({ email: 'a', user_id: 'a' }).errors).toEqual(['email must differ from user_id']);
+  });
+
+  it('should list every misconfigured rule', () => {
+    expect(() => new ValidationRules({
+      rules: [
+        { type: 'range', column: 'weekly' },
+        { type: 'regex', column: 'user_id', pattern: '(' },
+        { type: 'enum', column: 'user_type', values: ['MP'], severity: 'fatal' },
+        { type: 'unknown' }
+      ]
+    })).toThrow(/rules\[0\] \(range\): "min" or "max" is required[\s\S]*rules\[1\] \(regex\): invalid pattern[\s\S]*rules\[2\] \(enum\): "severity"[\s\S]*rules\[3\] \(unknown\): "type" must be one of/);
+  });
+
+  it('should load rules from a JSON file', () => {
+    const filePath = path.join(os.tmpdir(), `validation-rules-${process.pid}.json`);
+    fs.writeFileSync(filePath, JSON.stringify({ rules: [{ type: 'enum', column: 'user_type', values: ['MP'] }] }));
+    try {
+      expect(ValidationRules.load(filePath).check({ user_type: 'WIX' }).errors).toHaveLength(1);
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for the bounded-concurrency worker pool
+ */
+
+const { runWithConcurrency } = require('../../src/core/worker-pool');
+
+describe('runWithConcurrency', () => {
+  it('should never run more tasks at once than the concurrency limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const started = [];
+
+    const tasks = Array.from({ length: 10 }, (_, index) => async () => {
+      started.push(index);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return index * 2;
+    });
+
+    const results = await runWithConcurrency(tasks, 3);
+
+    expect(maxInFlight).toBe(3);
+    expect(started).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(results.map(result => result.value)).toEqual([0, 2, 4, 6, 8, 10, 12, 14, 16, 18]);
+  });
+
+  it('should start tasks lazily', async () => {
+    const task = jest.fn().mockResolvedValue('done');
+    let releaseFirst;
+    const first = () => new Promise(resolve => { releaseFirst = resolve; });
+
+    const run = runWithConcurrency([first, task], 1);
+    await Promise.resolve();
+
+    expect(task).not.toHaveBeenCalled();
+    releaseFirst('first');
+    await run;
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report rejected tasks without stopping the pool', async () => {
+    const results = await runWithConcurrency([
+      () => Promise.reject(new Error('boom')),
+      () => Promise.resolve('ok')
+    ], 2);
+
+    expect(results[0]).toEqual({ status: 'rejected', reason: expect.any(Error) });
+    expect(results[1]).toEqual({ status: 'fulfilled', value: 'ok' });
+  });
+});